@@ -11,21 +11,47 @@ const currentTimeEl = document.getElementById('current-time');
 const bpmEl = document.getElementById('bpm');
 const progressFill = document.getElementById('progress-fill');
 const coverImage = document.getElementById('cover-image');
+const messageEl = document.getElementById('message');
+
+// Канал (зал): ?channel=room2, без параметра - канал по умолчанию
+const channel = new URLSearchParams(location.search).get('channel');
+// Чистый режим этого экрана: ?clean=1|0, без параметра - как у канала
+const clean = new URLSearchParams(location.search).get('clean');
 
 let lyrics = null;
 let ws = null;
 
-// Интерполяция времени
+// Интерполяция времени: serverTimestamp - в часах сервера (см. serverNow)
 let serverTime = 0;
 let serverTimestamp = 0;
 let isPlaying = true;
+let playbackRate = 1;
+let sourceLost = false;
 let animationFrameId = null;
 let lastActiveIndex = -1;
 let visibleLines = new Set();
 
-// Количество строк
-const LINES_BEFORE = 2;
-const LINES_AFTER = 2;
+// Синхронизация часов с сервером
+const CLOCK_SYNC_BURST = 5;
+const CLOCK_SYNC_INTERVAL = 5000;
+const CLOCK_SAMPLES = 8;
+let clockOffset = 0;
+let clockLatency = 0;
+let clockSamples = [];
+let clockSyncTimer = null;
+let pingId = 0;
+
+// Количество строк (оверлей задаёт свои через data-lines-before/after)
+const LINES_BEFORE = parseInt(app.dataset.linesBefore ?? '2', 10);
+const LINES_AFTER = parseInt(app.dataset.linesAfter ?? '2', 10);
+
+// Перевод второй строкой: ?translation=0 - скрыть на этом экране, клавиша T - переключить
+app.dataset.translation = new URLSearchParams(location.search).get('translation') === '0' ? 'off' : 'on';
+
+// Латиница (если сервер её прислал): ?romanized=under|replace|off, клавиша R - по кругу
+const ROMANIZED_MODES = ['under', 'replace', 'off'];
+const romanizedParam = new URLSearchParams(location.search).get('romanized');
+app.dataset.romanized = ROMANIZED_MODES.includes(romanizedParam) ? romanizedParam : 'under';
 
 function formatTime(seconds) {
   const m = Math.floor(seconds / 60);
@@ -33,12 +59,67 @@ function formatTime(seconds) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+// === CLOCK SYNC ===
+
+// Текущее время по часам сервера
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+function sendPing() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ type: 'ping', id: ++pingId, t0: Date.now() }));
+}
+
+// Как в NTP: из последних замеров берём тот, где круг был быстрее всего -
+// у него наименьшая погрешность смещения
+function handlePong({ t0, t1, t2 }) {
+  const t3 = Date.now();
+  const rtt = (t3 - t0) - (t2 - t1);
+  const offset = ((t1 - t0) + (t2 - t3)) / 2;
+
+  clockSamples.push({ rtt, offset });
+  if (clockSamples.length > CLOCK_SAMPLES) clockSamples.shift();
+
+  const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clockOffset = best.offset;
+  clockLatency = best.rtt / 2;
+}
+
+function startClockSync() {
+  stopClockSync();
+  clockSamples = [];
+  // Серия пингов сразу после подключения, дальше - периодически
+  for (let i = 0; i < CLOCK_SYNC_BURST; i++) {
+    setTimeout(sendPing, i * 100);
+  }
+  clockSyncTimer = setInterval(sendPing, CLOCK_SYNC_INTERVAL);
+}
+
+function stopClockSync() {
+  if (clockSyncTimer) {
+    clearInterval(clockSyncTimer);
+    clockSyncTimer = null;
+  }
+}
+
 function getCurrentTime() {
-  if (!isPlaying || serverTimestamp === 0) {
+  if (!isPlaying || sourceLost || serverTimestamp === 0) {
     return serverTime;
   }
-  const elapsed = (Date.now() - serverTimestamp) / 1000;
-  return serverTime + elapsed;
+  const elapsed = (serverNow() - serverTimestamp) / 1000;
+  return serverTime + elapsed * playbackRate;
+}
+
+// Состояние воспроизведения от сервера: на паузе и при скрэтче не экстраполируем
+function applyTransport(transport, rebase = true, ts = serverNow()) {
+  if (!transport) return;
+  isPlaying = transport.state === 'playing';
+  playbackRate = transport.rate || 1;
+  if (rebase) {
+    serverTime = transport.time;
+    serverTimestamp = ts;
+  }
 }
 
 // === LYRICS RENDERING ===
@@ -94,7 +175,7 @@ function renderFullLyrics(activeIndex, windowStart, windowEnd, newVisibleLines)
     const classes = getLineClasses(i, activeIndex, !visibleLines.has(i));
     const delay = (i - windowStart) * 0.08;
     
-    html += `<div class="${classes}" data-index="${i}" style="transition-delay: ${delay}s">${escapeHtml(line.text)}</div>`;
+    html += `<div class="${classes}" data-index="${i}" style="transition-delay: ${delay}s">${lineContent(line)}</div>`;
   }
 
   lyricsEl.innerHTML = html;
@@ -133,7 +214,7 @@ function updateLyricsClasses(activeIndex, windowStart, windowEnd, newVisibleLine
       const div = document.createElement('div');
       div.className = getLineClasses(i, activeIndex, true);
       div.dataset.index = i;
-      div.textContent = line.text;
+      div.innerHTML = lineContent(line);
       
       const insertBefore = Array.from(lyricsEl.children).find(el => 
         parseInt(el.dataset.index, 10) > i
@@ -160,6 +241,58 @@ function updateLyricsClasses(activeIndex, windowStart, windowEnd, newVisibleLine
   }, 600);
 }
 
+// Текст строки (или латиница вместо него) и дополнительные строки под ним.
+// С таймингом слов (enhanced LRC) каждое слово - отдельный span для заливки
+function lineContent(line) {
+  const replace = line.romanized && app.dataset.romanized === 'replace';
+  const text = line.words
+    ? line.words.map(word => {
+      const wordText = replace ? (word.romanized ?? word.text) : word.text;
+      return `<span class="lyric-word">${escapeHtml(wordText)}</span>`;
+    }).join('')
+    : escapeHtml(replace ? line.romanized : line.text);
+  const romanized = line.romanized && !replace
+    ? `<span class="lyric-romanized">${escapeHtml(line.romanized)}</span>`
+    : '';
+  const translation = line.translation
+    ? `<span class="lyric-translation">${escapeHtml(line.translation)}</span>`
+    : '';
+  return `${text}${romanized}${translation}`;
+}
+
+// Караоке-заливка: каждое слово активной строки заполняется, пока его поют
+function updateWordFill(currentTime) {
+  if (!lyrics || !lyrics.lines) return;
+
+  const activeEl = lyricsEl.querySelector('.lyric-line.active');
+  if (!activeEl) return;
+
+  const line = lyrics.lines[parseInt(activeEl.dataset.index, 10)];
+  if (!line || !line.words) return;
+
+  activeEl.querySelectorAll('.lyric-word').forEach((el, i) => {
+    const word = line.words[i];
+    if (!word) return;
+    const duration = word.endTime - word.time;
+    const progress = duration > 0
+      ? (currentTime - word.time) / duration
+      : (currentTime >= word.time ? 1 : 0);
+    el.style.setProperty('--fill', `${Math.round(Math.min(1, Math.max(0, progress)) * 1000) / 10}%`);
+  });
+}
+
+function toggleTranslation() {
+  app.dataset.translation = app.dataset.translation === 'off' ? 'on' : 'off';
+}
+
+function cycleRomanized() {
+  const i = ROMANIZED_MODES.indexOf(app.dataset.romanized);
+  app.dataset.romanized = ROMANIZED_MODES[(i + 1) % ROMANIZED_MODES.length];
+  // Режим replace меняет сам текст строки - перерисовываем окно
+  lastActiveIndex = -1;
+  lyricsEl.innerHTML = '';
+}
+
 function getLineClasses(index, activeIndex, isNew) {
   let classes = 'lyric-line';
   
@@ -186,6 +319,34 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// Источник (rkbx_link) замолчал: время замораживаем, показываем "нет синхронизации"
+function applySourceHealth(health) {
+  if (!health) return;
+  const lost = health.status === 'lost';
+
+  if (lost && !sourceLost) {
+    // Фиксируем позицию, докуда успели доэкстраполировать
+    serverTime = getCurrentTime();
+    serverTimestamp = serverNow();
+  }
+  sourceLost = lost;
+  app.dataset.source = health.status;
+}
+
+// Прыжок позиции (seek / loop / restart): перерисовываем окно заново,
+// чтобы повторяющиеся строки (припев в лупе) снова "въехали", а не мигали
+function handleJump(kind, jump, ts = serverNow()) {
+  serverTime = jump.to;
+  serverTimestamp = ts;
+  lastActiveIndex = -1;
+  visibleLines.clear();
+  lyricsEl.innerHTML = '';
+
+  lyricsEl.classList.remove('jump-seek', 'jump-loop', 'jump-restart');
+  void lyricsEl.offsetWidth; // перезапуск CSS-анимации
+  lyricsEl.classList.add(`jump-${kind}`);
+}
+
 // === PROGRESS ===
 
 function updateProgress(currentTime) {
@@ -207,6 +368,7 @@ function tick() {
   const time = getCurrentTime();
   currentTimeEl.textContent = formatTime(time);
   renderLyrics(time);
+  updateWordFill(time);
   updateProgress(time);
   animationFrameId = requestAnimationFrame(tick);
 }
@@ -247,18 +409,48 @@ function updateFallback(artist, title) {
   }
 }
 
+// === OPERATOR ===
+
+let messageTimer = null;
+
+function setBlank(on) {
+  app.dataset.blank = on ? 'true' : 'false';
+}
+
+function showMessage(message) {
+  clearTimeout(messageTimer);
+
+  if (!message || (message.until && message.until <= serverNow())) {
+    messageEl.hidden = true;
+    messageEl.textContent = '';
+    return;
+  }
+
+  messageEl.textContent = message.text;
+  messageEl.hidden = false;
+
+  if (message.until) {
+    messageTimer = setTimeout(() => showMessage(null), message.until - serverNow());
+  }
+}
+
 // === WEBSOCKET ===
 
 let isConnected = false;
 
 function connect() {
-  const wsUrl = `ws://${location.hostname}:${location.port || 3000}`;
+  const params = new URLSearchParams();
+  if (channel) params.set('channel', channel);
+  if (clean !== null) params.set('clean', clean);
+  const query = params.toString() ? `?${params}` : '';
+  const wsUrl = `ws://${location.hostname}:${location.port || 3000}/${query}`;
   ws = new WebSocket(wsUrl);
 
   ws.onopen = () => {
     console.log('Connected to server');
     isConnected = true;
     app.classList.remove('disconnected');
+    startClockSync();
     startAnimationLoop();
   };
 
@@ -274,6 +466,7 @@ function connect() {
   ws.onclose = () => {
     console.log('Disconnected, reconnecting in 2s...');
     isConnected = false;
+    stopClockSync();
     app.classList.add('disconnected');
     setTimeout(connect, 2000);
   };
@@ -289,9 +482,13 @@ function handleMessage(msg) {
       artistEl.textContent = msg.data.artist || '—';
       titleEl.textContent = msg.data.title || 'Waiting for track...';
       serverTime = msg.data.time || 0;
-      serverTimestamp = Date.now();
+      serverTimestamp = msg.ts ?? serverNow();
       bpmEl.textContent = msg.data.bpm ? `${Math.round(msg.data.bpm)} BPM` : '— BPM';
       lyrics = msg.data.lyrics;
+      applyTransport(msg.data.transport, false);
+      applySourceHealth(msg.data.source);
+      setBlank(msg.data.blank);
+      showMessage(msg.data.message);
       app.className = `status-${msg.data.lyricsStatus}`;
       updateFallback(msg.data.artist, msg.data.title);
       if (msg.data.coverUrl) {
@@ -306,7 +503,7 @@ function handleMessage(msg) {
       lyrics = null;
       lastActiveIndex = -1;
       serverTime = 0;
-      serverTimestamp = Date.now();
+      serverTimestamp = serverNow();
       app.className = `status-${msg.data.status}`;
       updateFallback(msg.data.artist, msg.data.title);
       if (coverImage) coverImage.src = '';
@@ -330,14 +527,54 @@ function handleMessage(msg) {
 
     case 'time':
       serverTime = msg.data;
-      serverTimestamp = Date.now();
+      serverTimestamp = msg.ts ?? serverNow();
+      break;
+
+    case 'transport':
+      applyTransport(msg.data, true, msg.ts);
+      break;
+
+    case 'pong':
+      handlePong(msg.data);
+      break;
+
+    case 'blank':
+      setBlank(msg.data);
+      break;
+
+    case 'message':
+      showMessage(msg.data);
+      break;
+
+    case 'source':
+      applySourceHealth(msg.data);
+      break;
+
+    case 'seek':
+    case 'loop':
+    case 'restart':
+      handleJump(msg.type, msg.data, msg.ts);
       break;
 
     case 'bpm':
       bpmEl.textContent = `${Math.round(msg.data)} BPM`;
       break;
+
+    case 'error':
+      console.warn('Server:', msg.data.message);
+      break;
+
+    case 'shutdown':
+      console.log('Server is shutting down');
+      app.classList.add('disconnected');
+      break;
   }
 }
 
+document.addEventListener('keydown', (event) => {
+  if (event.key === 't' || event.key === 'T') toggleTranslation();
+  if (event.key === 'r' || event.key === 'R') cycleRomanized();
+});
+
 // Старт
 connect();
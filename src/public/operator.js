@@ -0,0 +1,348 @@
+/**
+ * RekordKaraoke Operator
+ * Пульт DJ: состояние источника и резолвера, текущая строка, управление экранами
+ */
+
+const $ = (id) => document.getElementById(id);
+
+const root = $('operator');
+const params = new URLSearchParams(location.search);
+const token = params.get('token') || '';
+const channel = params.get('channel');
+
+let ws = null;
+let state = {};
+let commandId = 0;
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${m}:${s}`;
+}
+
+function setBadge(el, value) {
+  el.textContent = value || '—';
+  el.className = `badge ${value || ''}`;
+}
+
+function log(text, isError = false) {
+  const li = document.createElement('li');
+  li.textContent = `${new Date().toLocaleTimeString()}  ${text}`;
+  if (isError) li.classList.add('error');
+  $('log').prepend(li);
+
+  while ($('log').children.length > 100) {
+    $('log').lastChild.remove();
+  }
+}
+
+// === RENDER ===
+
+function renderSource(source) {
+  if (!source) return;
+  $('source-name').textContent = source.name || '—';
+  setBadge($('source-status'), source.status);
+  $('source-silent').textContent = source.lastMessageAt
+    ? new Date(source.lastMessageAt).toLocaleTimeString()
+    : '—';
+}
+
+function renderTransport(transport) {
+  if (!transport) return;
+  const rate = transport.state === 'playing' ? ` ×${transport.rate.toFixed(3)}` : '';
+  const loop = transport.loop
+    ? ` (loop ${formatTime(transport.loop.start)}–${formatTime(transport.loop.end)})`
+    : '';
+  $('transport').textContent = `${transport.state}${rate}${loop}`;
+}
+
+function renderTrack() {
+  $('track-artist').textContent = state.artist || '—';
+  $('track-title').textContent = state.title || 'Waiting for track...';
+  setBadge($('lyrics-status'), state.lyricsStatus);
+  $('cover').src = state.coverUrl || '';
+}
+
+function renderEntry(entry) {
+  $('entry-provider').textContent = entry?.provider || '—';
+  $('entry-key').textContent = entry?.key || '—';
+  $('entry-format').textContent = entry ? `${entry.format} / ${entry.linesCount}` : '—';
+  $('entry-added').textContent = entry?.addedAt ? new Date(entry.addedAt).toLocaleString() : '—';
+  renderCandidates(entry);
+}
+
+function renderCandidates(entry) {
+  const list = $('candidates');
+  list.innerHTML = '';
+
+  const candidates = entry?.candidates || [];
+  if (candidates.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No candidates';
+    list.appendChild(li);
+    return;
+  }
+
+  for (const c of candidates) {
+    const li = document.createElement('li');
+    const selected = String(c.id) === String(entry.candidateId);
+    if (selected) li.classList.add('selected');
+
+    const name = document.createElement('div');
+    name.className = 'candidate-name';
+    name.textContent = `${c.artist} — ${c.title}${c.album ? ` (${c.album})` : ''}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'candidate-meta';
+    meta.textContent = `${c.duration ? formatTime(c.duration) : '?'} · ${Math.round(c.score * 100)}%`;
+
+    const btn = document.createElement('button');
+    btn.textContent = selected ? 'Current' : 'Use';
+    btn.disabled = selected;
+    btn.addEventListener('click', () => {
+      sendCommand('selectCandidate', { id: c.id });
+      log(`Switching to candidate ${c.id}...`);
+    });
+
+    li.append(name, meta, btn);
+    list.appendChild(li);
+  }
+}
+
+function formatProgress(step) {
+  if (!step) return null;
+  return step.provider ? `${step.stage} (${step.provider})` : step.stage;
+}
+
+function renderProgress(progress) {
+  const parts = [];
+  const lyrics = formatProgress(progress?.lyrics);
+  const cover = formatProgress(progress?.cover);
+  if (lyrics) parts.push(`lyrics: ${lyrics}`);
+  if (cover) parts.push(`cover: ${cover}`);
+  $('resolve-progress').textContent = parts.join(' · ') || '—';
+}
+
+function renderLine(line) {
+  $('line-index').textContent = line && line.index >= 0 ? `#${line.index + 1}` : '—';
+  $('line-text').textContent = line?.text || '—';
+  $('line-next').textContent = line?.next ? `next: ${line.next}` : '';
+}
+
+function renderOffset(offsetMs) {
+  const sign = offsetMs > 0 ? '+' : '';
+  $('offset').textContent = `${sign}${offsetMs || 0} ms`;
+}
+
+function renderBlank(on) {
+  $('btn-blank').classList.toggle('active', !!on);
+  $('btn-blank').textContent = on ? 'Unblank screen' : 'Blank screen';
+}
+
+function renderClean(on) {
+  $('btn-clean').classList.toggle('active', !!on);
+  $('btn-clean').textContent = on ? 'Clean mode: on' : 'Clean mode';
+}
+
+function renderAll() {
+  $('channel').textContent = state.channel || '—';
+  renderSource(state.source);
+  renderTransport(state.transport);
+  renderTrack();
+  renderEntry(state.entry);
+  renderProgress(state.progress);
+  renderLine(state.line);
+  renderOffset(state.offsetMs);
+  renderBlank(state.blank);
+  renderClean(state.clean);
+  $('on-air').textContent = state.onAirDeck ? `deck ${state.onAirDeck}` : '—';
+  $('bpm').textContent = state.bpm ? state.bpm.toFixed(1) : '—';
+  $('time').textContent = formatTime(state.time || 0);
+}
+
+// === COMMANDS ===
+
+function sendCommand(command, payload = {}) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    log(`${command}: not connected`, true);
+    return;
+  }
+  ws.send(JSON.stringify({ type: 'command', id: ++commandId, command, token, ...payload }));
+}
+
+$('btn-research').addEventListener('click', () => {
+  sendCommand('research');
+  log('Re-searching lyrics...');
+});
+
+$('btn-blank').addEventListener('click', () => {
+  sendCommand('blank', { on: !state.blank });
+});
+
+$('btn-clean').addEventListener('click', () => {
+  sendCommand('clean', { on: !state.clean });
+});
+
+document.querySelectorAll('[data-offset]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    sendCommand('offset', { delta: parseInt(btn.dataset.offset, 10) });
+  });
+});
+
+$('btn-offset-reset').addEventListener('click', () => {
+  sendCommand('offset', { value: 0 });
+});
+
+$('message-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const text = $('message-text').value.trim();
+  if (!text) return;
+  sendCommand('message', { text, durationMs: parseInt($('message-duration').value, 10) || null });
+});
+
+$('btn-message-clear').addEventListener('click', () => {
+  sendCommand('message', { text: '' });
+  $('message-text').value = '';
+});
+
+// === WEBSOCKET ===
+
+function connect() {
+  const query = channel ? `?channel=${encodeURIComponent(channel)}` : '';
+  ws = new WebSocket(`ws://${location.hostname}:${location.port || 3000}/${query}`);
+
+  ws.onopen = () => {
+    root.classList.remove('disconnected');
+    $('op-connection').textContent = 'Connected';
+  };
+
+  ws.onmessage = (event) => {
+    try {
+      handleMessage(JSON.parse(event.data));
+    } catch (err) {
+      console.error('Failed to handle message:', err);
+    }
+  };
+
+  ws.onclose = () => {
+    root.classList.add('disconnected');
+    $('op-connection').textContent = 'Disconnected — reconnecting...';
+    setTimeout(connect, 2000);
+  };
+}
+
+function handleMessage(msg) {
+  switch (msg.type) {
+    case 'state':
+      state = msg.data;
+      renderAll();
+      break;
+
+    case 'track':
+      Object.assign(state, {
+        artist: msg.data.artist,
+        title: msg.data.title,
+        lyricsStatus: msg.data.status,
+        coverUrl: null,
+        entry: null,
+        line: null,
+        offsetMs: 0,
+        progress: { lyrics: null, cover: null }
+      });
+      renderAll();
+      log(`Track: ${msg.data.artist} - ${msg.data.title}`);
+      break;
+
+    case 'lyrics':
+      state.lyricsStatus = msg.data.status;
+      renderTrack();
+      break;
+
+    case 'progress': {
+      const { task, ...step } = msg.data;
+      state.progress = { ...state.progress, [task]: step };
+      renderProgress(state.progress);
+      break;
+    }
+
+    case 'entry':
+      state.entry = msg.data;
+      renderEntry(state.entry);
+      break;
+
+    case 'cover':
+      state.coverUrl = msg.data;
+      renderTrack();
+      break;
+
+    case 'line':
+      state.line = msg.data;
+      renderLine(state.line);
+      break;
+
+    case 'time':
+      state.time = msg.data;
+      $('time').textContent = formatTime(msg.data);
+      break;
+
+    case 'bpm':
+      state.bpm = msg.data;
+      $('bpm').textContent = msg.data.toFixed(1);
+      break;
+
+    case 'transport':
+      state.transport = msg.data;
+      renderTransport(msg.data);
+      break;
+
+    case 'source':
+      state.source = msg.data;
+      renderSource(msg.data);
+      log(`Source ${msg.data.status}`, msg.data.status === 'lost');
+      break;
+
+    case 'onAir':
+      state.onAirDeck = msg.data;
+      $('on-air').textContent = `deck ${msg.data}`;
+      break;
+
+    case 'offset':
+      state.offsetMs = msg.data;
+      renderOffset(msg.data);
+      break;
+
+    case 'blank':
+      state.blank = msg.data;
+      renderBlank(msg.data);
+      break;
+
+    case 'clean':
+      state.clean = msg.data;
+      renderClean(msg.data);
+      log(`Clean mode ${msg.data ? 'on' : 'off'}`);
+      break;
+
+    case 'seek':
+    case 'loop':
+    case 'restart':
+      log(`${msg.type}: ${formatTime(msg.data.from)} → ${formatTime(msg.data.to)}`);
+      break;
+
+    case 'error':
+      log(msg.data.message, true);
+      break;
+
+    case 'shutdown':
+      log('Server is shutting down', true);
+      break;
+
+    case 'commandResult': {
+      const { command, ok, error } = msg.data;
+      log(ok ? `${command}: ok` : `${command}: ${error}`, !ok);
+      break;
+    }
+  }
+}
+
+connect();
@@ -0,0 +1,54 @@
+/**
+ * RekordKaraoke Overlay
+ * Настройки оверлея из URL, до запуска app.js
+ *
+ *   /overlay?layout=lyrics|lowerthird  - только лирика (по умолчанию) или "нижняя треть"
+ *           &position=top|center|bottom
+ *           &align=left|center|right
+ *           &safe=5                     - безопасная зона от краёв кадра, % (0..20)
+ *           &scale=1                    - масштаб текста
+ *           &bg=0.6                     - непрозрачность подложки (0..1)
+ *           &before=1&after=1           - строк до и после активной
+ *           &track=0                    - скрыть исполнителя и название
+ *           &translation=0              - без строки перевода
+ *           &romanized=under|replace|off - латиница под строкой, вместо неё или без неё
+ *           &clean=1                    - чистый режим (маскировать мат), как у экрана
+ *           &channel=room2              - канал (зал), как у экрана
+ */
+
+(() => {
+  const app = document.getElementById('app');
+  const params = new URLSearchParams(location.search);
+
+  const LAYOUTS = {
+    lyrics: { position: 'bottom', align: 'center', bg: 0, before: 1, after: 1, track: false },
+    lowerthird: { position: 'bottom', align: 'left', bg: 0.6, before: 0, after: 1, track: true }
+  };
+
+  function pick(name, allowed, fallback) {
+    const value = params.get(name);
+    return allowed.includes(value) ? value : fallback;
+  }
+
+  function number(name, fallback, min, max) {
+    const value = parseFloat(params.get(name));
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+  }
+
+  const layout = pick('layout', Object.keys(LAYOUTS), 'lyrics');
+  const defaults = LAYOUTS[layout];
+  const showTrack = params.has('track') ? params.get('track') !== '0' : defaults.track;
+
+  app.dataset.layout = layout;
+  app.dataset.position = pick('position', ['top', 'center', 'bottom'], defaults.position);
+  app.dataset.align = pick('align', ['left', 'center', 'right'], defaults.align);
+  app.dataset.track = showTrack ? 'true' : 'false';
+  // Окно строк читает app.js
+  app.dataset.linesBefore = String(Math.round(number('before', defaults.before, 0, 5)));
+  app.dataset.linesAfter = String(Math.round(number('after', defaults.after, 0, 5)));
+
+  const root = document.documentElement.style;
+  root.setProperty('--overlay-safe', `${number('safe', 5, 0, 20)}%`);
+  root.setProperty('--overlay-scale', number('scale', 1, 0.25, 4));
+  root.setProperty('--overlay-bg', number('bg', defaults.bg, 0, 1));
+})();
@@ -0,0 +1,275 @@
+/**
+ * REST API
+ *
+ * GET /api/channels           - каналы (залы) и что в них играет
+ * GET /api/state              - текущее состояние канала (?channel= , ?lyrics=0 - без текста,
+ *                                ?clean=1|0 - чистый режим, по умолчанию как у канала)
+ * GET /api/library            - библиотека: ?q= &provider= &sort=artist|added &offset= &limit=
+ * GET /api/library/stats      - покрытие по провайдерам
+ * GET /api/lyrics/:key        - распарсенная лирика (key - ключ библиотеки "artist::title")
+ * PUT /api/library/:key/offset { offsetMs } - сдвиг лирики трека (сохраняется в библиотеке)
+ * PUT /api/library/:key/translation { content, format: lrc|srt|txt } - перевод трека (файл-компаньон)
+ * GET /api/history            - что играло: ?session= (по умолчанию текущая) &channel= &status=found|not_found|missing
+ * GET /api/history/sessions   - сохранённые сессии
+ * GET /api/history/export.csv | .m3u8 | .txt - отчёт, плейлист для prefetch.js, сетлист (те же фильтры)
+ *
+ * Запись требует operatorToken (если задан): Authorization: Bearer <token> или ?token=
+ */
+
+const { normalize } = require('./util/normalize');
+const { sendJson, sendText, readJsonBody } = require('./util/http');
+const { filterEntries, toCsv, toM3u8, toSetlist } = require('./history');
+const logger = require('./util/logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const EXPORTS = {
+  csv: { contentType: 'text/csv', render: (session, entries) => toCsv(entries) },
+  m3u8: { contentType: 'audio/x-mpegurl', render: (session, entries) => toM3u8(entries) },
+  txt: { contentType: 'text/plain', render: (session, entries) => toSetlist(session, entries) }
+};
+
+function parseIntParam(value, fallback, max = Infinity) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 0) return fallback;
+  return Math.min(n, max);
+}
+
+// Ключ библиотеки из пути; null - битое %-кодирование ("%E0%A4%A")
+function decodeKey(encoded) {
+  try {
+    return decodeURIComponent(encoded);
+  } catch {
+    return null;
+  }
+}
+
+function createApi({ getState, getChannels, resolver, history, setOffset, setTranslation, token = '' }) {
+  const library = () => resolver.library;
+
+  function isAuthorized(req, url) {
+    if (!token) return true;
+    return req.headers.authorization === `Bearer ${token}` ||
+      url.searchParams.get('token') === token;
+  }
+
+  function getStateHandler(req, res, url) {
+    const channel = url.searchParams.get('channel');
+    const clean = url.searchParams.has('clean') ? url.searchParams.get('clean') !== '0' : undefined;
+    const state = getState(channel, clean);
+    if (!state) return sendJson(res, 404, { error: `Unknown channel: ${channel}` });
+
+    if (url.searchParams.get('lyrics') === '0') {
+      const { lyrics, ...rest } = state;
+      return sendJson(res, 200, rest);
+    }
+    sendJson(res, 200, state);
+  }
+
+  function listLibrary(req, res, url) {
+    const q = normalize(url.searchParams.get('q') || '');
+    const provider = url.searchParams.get('provider');
+    const sort = url.searchParams.get('sort') || 'artist';
+    const offset = parseIntParam(url.searchParams.get('offset'), 0);
+    const limit = parseIntParam(url.searchParams.get('limit'), DEFAULT_LIMIT, MAX_LIMIT);
+
+    let items = library().getAll();
+
+    if (q) {
+      items = items.filter(item =>
+        item.key.includes(q) ||
+        normalize(item.artist).includes(q) ||
+        normalize(item.title).includes(q)
+      );
+    }
+    if (provider) {
+      items = items.filter(item => item.provider === provider);
+    }
+
+    if (sort === 'added') {
+      items.sort((a, b) => String(b.addedAt || '').localeCompare(String(a.addedAt || '')));
+    } else {
+      items.sort((a, b) =>
+        String(a.artist).localeCompare(String(b.artist)) ||
+        String(a.title).localeCompare(String(b.title))
+      );
+    }
+
+    sendJson(res, 200, {
+      total: items.length,
+      offset,
+      limit,
+      items: items.slice(offset, offset + limit)
+    });
+  }
+
+  function libraryStats(req, res) {
+    const items = library().getAll();
+    const total = items.length;
+    const byProvider = {};
+
+    for (const item of items) {
+      const name = item.provider || 'unknown';
+      if (!byProvider[name]) byProvider[name] = { count: 0, lines: 0 };
+      byProvider[name].count++;
+      byProvider[name].lines += item.linesCount || 0;
+    }
+
+    for (const stats of Object.values(byProvider)) {
+      stats.share = total ? Math.round((stats.count / total) * 1000) / 10 : 0;
+    }
+
+    sendJson(res, 200, { total, byProvider });
+  }
+
+  async function getLyrics(req, res, key) {
+    const entry = library().get(key);
+    if (!entry) return sendJson(res, 404, { error: `Not in library: ${key}` });
+
+    try {
+      const lyrics = await resolver.store.load(entry.jsonPath);
+      sendJson(res, 200, { ...entry, lyrics });
+    } catch (err) {
+      logger.error(`API: failed to load lyrics for ${key}: ${err.message}`);
+      sendJson(res, 500, { error: 'Failed to load lyrics' });
+    }
+  }
+
+  // Сессия истории с фильтрами из query; null - сессии нет (ответ уже отправлен)
+  async function loadHistory(res, url) {
+    const sessionId = url.searchParams.get('session') || undefined;
+    const session = await history.getSession(sessionId);
+    if (!session) {
+      sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+      return null;
+    }
+
+    const entries = filterEntries(session.entries, {
+      channel: url.searchParams.get('channel'),
+      status: url.searchParams.get('status')
+    });
+    return { session, entries };
+  }
+
+  async function getHistory(req, res, url) {
+    const result = await loadHistory(res, url);
+    if (!result) return;
+
+    const { session, entries } = result;
+    sendJson(res, 200, { id: session.id, startedAt: session.startedAt, total: entries.length, entries });
+  }
+
+  async function exportHistory(req, res, url, format) {
+    const exporter = EXPORTS[format];
+    if (!exporter) return sendJson(res, 404, { error: `Unknown export format: ${format}` });
+
+    const result = await loadHistory(res, url);
+    if (!result) return;
+
+    const { session, entries } = result;
+    sendText(res, 200, exporter.render(session, entries), exporter.contentType, `setlist_${session.id}.${format}`);
+  }
+
+  async function putOffset(req, res, key) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'Body must be a JSON object' });
+    }
+    const offsetMs = Number(body.offsetMs);
+    if (!Number.isFinite(offsetMs)) {
+      return sendJson(res, 400, { error: '"offsetMs" must be a number' });
+    }
+
+    const entry = await setOffset(key, offsetMs);
+    if (!entry) return sendJson(res, 404, { error: `Not in library: ${key}` });
+    sendJson(res, 200, entry);
+  }
+
+  async function putTranslation(req, res, key) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'Body must be a JSON object' });
+    }
+    const { content, format = 'txt' } = body;
+    if (typeof content !== 'string' || !content.trim()) {
+      return sendJson(res, 400, { error: '"content" must be a non-empty string' });
+    }
+    if (typeof format !== 'string') {
+      return sendJson(res, 400, { error: '"format" must be a string' });
+    }
+
+    const result = await setTranslation(key, content, format);
+    if (!result) return sendJson(res, 404, { error: `Not in library: ${key}` });
+    sendJson(res, 200, result);
+  }
+
+  /**
+   * Обрабатывает запрос, если он к /api/
+   * Возвращает false, если запрос не к API
+   * @param {URL} url - разобранный req.url
+   */
+  async function handle(req, res, url) {
+    if (!url.pathname.startsWith('/api/')) return false;
+
+    const route = url.pathname.replace(/\/+$/, '');
+    const writeMatch = route.match(/^\/api\/library\/(.+)\/(offset|translation)$/);
+
+    if (req.method === 'PUT' && writeMatch) {
+      if (!isAuthorized(req, url)) {
+        sendJson(res, 401, { error: 'Unauthorized' });
+        return true;
+      }
+      const key = decodeKey(writeMatch[1]);
+      if (key === null) {
+        sendJson(res, 400, { error: 'Malformed URL encoding' });
+        return true;
+      }
+      try {
+        const put = writeMatch[2] === 'offset' ? putOffset : putTranslation;
+        await put(req, res, key);
+      } catch (err) {
+        sendJson(res, 400, { error: err.message });
+      }
+      return true;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return true;
+    }
+
+    try {
+      if (route === '/api/channels') {
+        sendJson(res, 200, getChannels());
+      } else if (route === '/api/state') {
+        getStateHandler(req, res, url);
+      } else if (route === '/api/library') {
+        listLibrary(req, res, url);
+      } else if (route === '/api/library/stats') {
+        libraryStats(req, res);
+      } else if (route === '/api/history') {
+        await getHistory(req, res, url);
+      } else if (route === '/api/history/sessions') {
+        sendJson(res, 200, await history.listSessions());
+      } else if (route.startsWith('/api/history/export.')) {
+        await exportHistory(req, res, url, route.slice('/api/history/export.'.length));
+      } else if (route.startsWith('/api/lyrics/')) {
+        const key = decodeKey(route.slice('/api/lyrics/'.length));
+        if (key === null) sendJson(res, 400, { error: 'Malformed URL encoding' });
+        else await getLyrics(req, res, key);
+      } else {
+        sendJson(res, 404, { error: 'Unknown endpoint' });
+      }
+    } catch (err) {
+      logger.error(`API error (${route}): ${err.message}`);
+      sendJson(res, 500, { error: 'Internal error' });
+    }
+
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createApi };
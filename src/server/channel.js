@@ -0,0 +1,639 @@
+/**
+ * Канал (зал): свой источник, своё состояние и свои клиенты
+ *
+ * Library, resolver и обложки общие для всех каналов - лирика,
+ * найденная в одном зале, сразу доступна в другом
+ */
+
+const { createSource } = require('./sources');
+const LineTracker = require('./lyrics/line-tracker');
+const OscSender = require('./osc/sender');
+const { createCommandRouter } = require('./commands');
+const { applyOffset, applyRomanization } = require('./lyrics/transform');
+const { createCensor } = require('./lyrics/censor');
+const { getSchemes, DEFAULT_SCHEME } = require('./lyrics/transliterate');
+const { makeKey } = require('./util/normalize');
+const logger = require('./util/logger');
+
+// Секции, которые канал может переопределить поверх общего конфига
+const CHANNEL_SECTIONS = ['source', 'osc', 'oscOut', 'transliteration', 'profanity'];
+
+// Чистый режим клиента: true / false, нет записи - как у канала.
+// Привязан к соединению, а не к каналу - переживает subscribe
+const clientClean = new WeakMap();
+
+function createInitialState(name, config) {
+  return {
+    channel: name,
+    clean: Boolean(config.profanity?.enabled),
+    artist: '',
+    title: '',
+    time: 0,
+    bpm: 0,
+    lyrics: null,
+    lyricsStatus: 'none',
+    coverUrl: null,
+    onAirDeck: null,
+    transport: { state: 'paused', rate: 0, time: 0 },
+    source: { name: null, status: 'waiting', lastMessageAt: null, silentMs: null },
+    entry: null,
+    offsetMs: 0,
+    line: null,
+    blank: false,
+    message: null,
+    progress: { lyrics: null, cover: null }
+  };
+}
+
+/**
+ * Конфиг канала: общий конфиг + переопределения из config.channels[]
+ * Секции сливаются на один уровень: { osc: { port: 4470 } } меняет только порт
+ */
+function resolveChannelConfig(config, channelConfig = {}) {
+  const merged = { ...config };
+  for (const section of CHANNEL_SECTIONS) {
+    if (channelConfig[section]) {
+      merged[section] = { ...config[section], ...channelConfig[section] };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Порт, который слушает источник канала ("udp:4460"); null - источник без порта.
+ * Порты по умолчанию - как в LinkBridge и PushSource
+ */
+function sourceListenPort(config) {
+  const type = config.source?.type || 'osc';
+  if (type === 'osc') return `udp:${config.osc?.port || 4460}`;
+  if (type === 'push') return `tcp:${config.source.push?.port || 4461}`;
+  return null;
+}
+
+/**
+ * Список каналов из конфига; без config.channels - один канал "main"
+ * со всеми настройками верхнего уровня, как раньше
+ */
+function getChannelConfigs(config) {
+  const list = Array.isArray(config.channels) && config.channels.length
+    ? config.channels
+    : [{ name: 'main' }];
+
+  const seen = new Set();
+  // Порт -> канал: второй источник на том же порту не откроется (EADDRINUSE)
+  const ports = new Map();
+  return list.map((channelConfig, i) => {
+    const name = String(channelConfig.name || `channel${i + 1}`);
+    if (seen.has(name)) {
+      throw new Error(`Duplicate channel name: ${name}`);
+    }
+    seen.add(name);
+
+    const resolved = resolveChannelConfig(config, channelConfig);
+    const port = sourceListenPort(resolved);
+    if (port && ports.has(port)) {
+      throw new Error(`Duplicate source port ${port}: channels "${ports.get(port)}" and "${name}"`);
+    }
+    if (port) ports.set(port, name);
+
+    // Опечатка в схеме не должна ломать выдачу лирики - берём схему по умолчанию
+    const scheme = resolved.transliteration?.scheme;
+    if (scheme && !getSchemes().includes(scheme)) {
+      logger.warn(`Channel "${name}": unknown transliteration scheme "${scheme}", using "${DEFAULT_SCHEME}"`);
+      resolved.transliteration = { ...resolved.transliteration, scheme: DEFAULT_SCHEME };
+    }
+    return { name, config: resolved };
+  });
+}
+
+class Channel {
+  /**
+   * @param {string} name
+   * @param {object} config - конфиг канала (см. resolveChannelConfig)
+   * @param {object} deps - общие для всех каналов:
+   *   { resolver, coverProvider, history, setOffset(key, offsetMs) - сохраняет сдвиг и применяет во всех каналах }
+   */
+  constructor(name, config, { resolver, coverProvider, history, setOffset }) {
+    this.name = name;
+    this.config = config;
+    this.resolver = resolver;
+    this.coverProvider = coverProvider;
+    this.history = history;
+    this.setOffset = setOffset;
+
+    this.state = createInitialState(name, config);
+    // Лирика текущего трека как она лежит в store (до сдвига)
+    this.loadedLyrics = null;
+    // Чистые версии state.lyrics и state.line для клиентов в чистом режиме
+    this.censor = createCensor(config.profanity);
+    this.cleanLyrics = null;
+    this.cleanLine = null;
+    this.clients = new Set();
+
+    // Задание поиска для текущего трека: смена трека отменяет предыдущее,
+    // и его поздние результаты уже не попадают в state
+    this.trackJob = new AbortController();
+
+    // OSC-выход событий лирики (свет, VJ)
+    this.oscSender = new OscSender(config.oscOut);
+
+    // Активная строка на стороне сервера
+    this.lineTracker = new LineTracker();
+    this.lineTracker.on('line', (event) => {
+      this.state.line = {
+        index: event.index,
+        text: event.line ? event.line.text : '',
+        next: event.next ? event.next.text : ''
+      };
+      this._updateCleanLine();
+
+      this.oscSender.sendLine(this.state.clean ? {
+        index: event.index,
+        line: event.line && { ...event.line, text: this.cleanLine.text },
+        next: event.next && { ...event.next, text: this.cleanLine.next }
+      } : event);
+      this.broadcast(
+        { type: 'line', data: this.state.line },
+        { type: 'line', data: this.cleanLine }
+      );
+    });
+
+    // Команды с операторской страницы
+    this.handleCommand = createCommandRouter({
+      token: config.server?.operatorToken,
+      commands: this._createCommands()
+    });
+
+    this.source = createSource(config);
+    this._bindSource();
+  }
+
+  start() {
+    this.oscSender.start();
+    this.source.start();
+    logger.info(`Channel "${this.name}": waiting for ${this.source.name} source...`);
+  }
+
+  /**
+   * Источник под новый конфиг канала или null, если его секции не менялись.
+   * Создаётся без запуска: ошибка в конфиге источника всплывает до того,
+   * как старый источник остановлен
+   */
+  prepareSource(config) {
+    const changed = (section) => JSON.stringify(config[section]) !== JSON.stringify(this.config[section]);
+    return changed('source') || changed('osc') ? createSource(config) : null;
+  }
+
+  /**
+   * Новый конфиг канала (hot reload): источник и OSC-выход пересоздаются,
+   * только если изменились их секции. Состояние и клиенты остаются
+   * @param {object} config
+   * @param {object|null} [source] - источник из prepareSource(config)
+   */
+  applyConfig(config, source = this.prepareSource(config)) {
+    const changed = (section) => JSON.stringify(config[section]) !== JSON.stringify(this.config[section]);
+    const oscOutChanged = changed('oscOut');
+    const transliterationChanged = changed('transliteration');
+    const profanityChanged = changed('profanity');
+    this.config = config;
+
+    this.handleCommand = createCommandRouter({
+      token: config.server?.operatorToken,
+      commands: this._createCommands()
+    });
+
+    if (oscOutChanged) {
+      this.oscSender.stop();
+      this.oscSender = new OscSender(config.oscOut);
+      this.oscSender.start();
+      logger.info(`Channel "${this.name}": OSC output reconfigured`);
+    }
+
+    if (source) {
+      this.source.removeAllListeners();
+      this.source.stop();
+
+      this.source = source;
+      this._bindSource();
+      this.source.start();
+      logger.info(`Channel "${this.name}": ${this.source.name} source restarted`);
+
+      this.state.source = this.source.getHealth();
+      this.broadcast({ type: 'source', data: this.state.source });
+    }
+
+    if (profanityChanged) {
+      this.censor = createCensor(config.profanity);
+      this.setClean(Boolean(config.profanity?.enabled));
+    } else if (transliterationChanged && this.loadedLyrics) {
+      this.publishLyrics();
+    }
+  }
+
+  /**
+   * @returns {Promise} - источник остановлен (запись OSC-сессии дописана)
+   */
+  stop() {
+    this.trackJob.abort();
+    this.history.end(this.name);
+    this.source.removeAllListeners();
+    const stopped = Promise.resolve(this.source.stop());
+    this.oscSender.stop();
+    for (const ws of this.clients) ws.close(1001, 'Channel closed');
+    this.clients.clear();
+    return stopped;
+  }
+
+  // === КЛИЕНТЫ ===
+
+  addClient(ws) {
+    this.clients.add(ws);
+    this._sendState(ws);
+  }
+
+  removeClient(ws) {
+    this.clients.delete(ws);
+  }
+
+  /**
+   * cleanData - версия сообщения для клиентов в чистом режиме (лирика, строка)
+   */
+  broadcast(data, cleanData = null) {
+    const msg = JSON.stringify(data);
+    let cleanMsg = null;
+    for (const ws of this.clients) {
+      if (ws.readyState !== 1) continue;
+      if (cleanData && this.isClean(ws)) {
+        cleanMsg = cleanMsg || JSON.stringify(cleanData);
+        ws.send(cleanMsg);
+      } else {
+        ws.send(msg);
+      }
+    }
+  }
+
+  /**
+   * Состояние канала; clean - с чистыми лирикой и строкой
+   * (по умолчанию - как настроен канал)
+   */
+  getState(clean = this.state.clean) {
+    this.state.source = this.source.getHealth();
+    if (!clean) return this.state;
+    return {
+      ...this.state,
+      lyrics: this.state.lyrics && this.cleanLyrics,
+      line: this.state.line && this.cleanLine
+    };
+  }
+
+  _sendState(ws) {
+    ws.send(JSON.stringify({ type: 'state', data: this.getState(this.isClean(ws)), ts: Date.now() }));
+  }
+
+  // === ЧИСТЫЙ РЕЖИМ ===
+
+  isClean(ws) {
+    return clientClean.get(ws) ?? this.state.clean;
+  }
+
+  /**
+   * Чистый режим отдельного клиента: true / false, null - как у канала
+   */
+  setClientClean(ws, clean) {
+    if (typeof clean === 'boolean') {
+      clientClean.set(ws, clean);
+    } else {
+      clientClean.delete(ws);
+    }
+    if (this.clients.has(ws) && ws.readyState === 1) this._sendState(ws);
+  }
+
+  /**
+   * Чистый режим канала: клиенты без своей настройки получают лирику заново
+   */
+  setClean(clean) {
+    this.state.clean = clean;
+    this.broadcast({ type: 'clean', data: clean });
+    if (this.loadedLyrics) this.publishLyrics();
+    if (this.state.line) {
+      this._updateCleanLine();
+      this.broadcast(
+        { type: 'line', data: this.state.line },
+        { type: 'line', data: this.cleanLine }
+      );
+    }
+  }
+
+  // Чистая версия state.line; в режиме omit строка со словом из списка - пустая
+  _updateCleanLine() {
+    const censorLine = (text) => {
+      const { text: censored, matched } = this.censor.censorText(text);
+      return matched && this.config.profanity?.mask === 'omit' ? '' : censored;
+    };
+    this.cleanLine = {
+      ...this.state.line,
+      text: censorLine(this.state.line.text),
+      next: censorLine(this.state.line.next)
+    };
+  }
+
+  // Краткая сводка для списка каналов
+  getSummary() {
+    return {
+      name: this.name,
+      source: this.source.name,
+      status: this.source.getHealth().status,
+      artist: this.state.artist,
+      title: this.state.title,
+      lyricsStatus: this.state.lyricsStatus,
+      clean: this.state.clean,
+      clients: this.clients.size
+    };
+  }
+
+  // === ЛИРИКА ===
+
+  // Отправляет клиентам загруженную лирику с учётом сдвига и транслитерации.
+  // Чистая версия маскируется до транслитерации - латиница не выдаёт слово
+  publishLyrics() {
+    const shifted = applyOffset(this.loadedLyrics, this.state.offsetMs);
+    const lyrics = applyRomanization(shifted, this.config.transliteration);
+    this.cleanLyrics = applyRomanization(this.censor.censorLyrics(shifted), this.config.transliteration);
+
+    this.state.lyrics = lyrics;
+    this.state.lyricsStatus = 'found';
+    this.lineTracker.setLyrics(lyrics);
+    this.lineTracker.update(this.state.time);
+    this.broadcast(
+      { type: 'lyrics', data: { status: 'found', lyrics } },
+      { type: 'lyrics', data: { status: 'found', lyrics: this.cleanLyrics } }
+    );
+  }
+
+  /**
+   * Сдвиг записи библиотеки изменился: если это текущий трек канала - применяем сразу
+   */
+  applyEntryOffset(entry) {
+    if (this.state.entry?.key !== entry.key) return;
+
+    this.state.offsetMs = entry.offsetMs;
+    this.broadcast({ type: 'offset', data: this.state.offsetMs });
+    if (this.loadedLyrics) this.publishLyrics();
+  }
+
+  /**
+   * Лирика записи библиотеки изменилась на диске (например, добавлен перевод):
+   * если это текущий трек канала - перечитываем и отправляем заново
+   */
+  async reloadEntryLyrics(entry) {
+    if (this.state.entry?.key !== entry.key || !this.loadedLyrics) return;
+
+    try {
+      const lyrics = await this.resolver.store.load(entry.jsonPath);
+      if (this.state.entry?.key !== entry.key) return;
+      this.loadedLyrics = lyrics;
+      this.publishLyrics();
+    } catch (err) {
+      logger.error(`Channel "${this.name}": failed to reload lyrics: ${err.message}`);
+    }
+  }
+
+  startTrackJob() {
+    this.trackJob.abort();
+    this.trackJob = new AbortController();
+    this.state.progress = { lyrics: null, cover: null };
+    return this.trackJob.signal;
+  }
+
+  // Шаг поиска: task = 'lyrics' | 'cover'
+  reportProgress(signal, task, stage, detail = {}) {
+    if (signal.aborted) return;
+    this.state.progress[task] = { stage, ...detail };
+    this.broadcast({ type: 'progress', data: { task, stage, ...detail } });
+  }
+
+  // Результат resolver -> состояние и клиенты
+  async applyLyricsResult(artist, title, lyricsResult, signal = this.trackJob.signal) {
+    const state = this.state;
+
+    if (lyricsResult) {
+      try {
+        const lyrics = await this.resolver.store.load(lyricsResult.jsonPath);
+        if (signal.aborted) return;
+
+        this.loadedLyrics = lyrics;
+        state.entry = {
+          key: makeKey(artist, title),
+          provider: lyricsResult.provider,
+          format: lyricsResult.format,
+          linesCount: lyricsResult.linesCount,
+          addedAt: lyricsResult.addedAt,
+          candidates: lyricsResult.candidates || [],
+          candidateId: lyricsResult.candidateId ?? null
+        };
+        // Сохранённый сдвиг трека
+        state.offsetMs = lyricsResult.offsetMs || 0;
+        this.broadcast({ type: 'entry', data: state.entry });
+        this.broadcast({ type: 'offset', data: state.offsetMs });
+        this.publishLyrics();
+        this.history.update(this.name, { lyricsStatus: 'found', provider: lyricsResult.provider });
+      } catch (err) {
+        if (signal.aborted) return;
+        logger.error(`Failed to load lyrics: ${err.message}`);
+        state.lyricsStatus = 'not_found';
+        this.broadcast({ type: 'lyrics', data: { status: 'not_found' } });
+        this.history.update(this.name, { lyricsStatus: 'not_found' });
+      }
+    } else {
+      state.lyricsStatus = 'not_found';
+      this.broadcast({ type: 'lyrics', data: { status: 'not_found' } });
+      this.history.update(this.name, { lyricsStatus: 'not_found' });
+    }
+    this.oscSender.sendLyricsStatus(state.lyricsStatus);
+  }
+
+  // === КОМАНДЫ ===
+
+  _createCommands() {
+    const state = this.state;
+
+    return {
+      // Повторный поиск у провайдеров, мимо библиотеки
+      research: async () => {
+        const { artist, title } = state;
+        if (!artist || !title) throw new Error('No track loaded');
+
+        const { signal } = this.trackJob;
+        const result = await this.resolver.resolve(artist, title, {
+          skipLocal: true,
+          signal,
+          onProgress: (stage, detail) => this.reportProgress(signal, 'lyrics', stage, detail)
+        });
+        if (!result) throw new Error('Nothing found');
+
+        await this.applyLyricsResult(artist, title, result, signal);
+        return state.entry;
+      },
+
+      // Другой кандидат лирики: { id } из entry.candidates
+      selectCandidate: async ({ id }) => {
+        const { artist, title } = state;
+        if (!artist || !title) throw new Error('No track loaded');
+
+        const { signal } = this.trackJob;
+        const result = await this.resolver.selectCandidate(artist, title, id);
+        if (signal.aborted) throw new Error('Track changed');
+
+        await this.applyLyricsResult(artist, title, result, signal);
+        return state.entry;
+      },
+
+      // Сдвиг лирики текущего трека: { delta } или { value } в мс
+      offset: async ({ delta, value }) => {
+        if (!state.entry) throw new Error('No lyrics loaded');
+
+        const next = typeof value === 'number'
+          ? value
+          : state.offsetMs + (Number(delta) || 0);
+        await this.setOffset(state.entry.key, next);
+        return state.offsetMs;
+      },
+
+      // Погасить экран зрителей
+      blank: async ({ on }) => {
+        state.blank = typeof on === 'boolean' ? on : !state.blank;
+        this.broadcast({ type: 'blank', data: state.blank });
+        return state.blank;
+      },
+
+      // Чистый режим канала: { on }, без on - переключить
+      clean: async ({ on }) => {
+        this.setClean(typeof on === 'boolean' ? on : !state.clean);
+        return state.clean;
+      },
+
+      // Сообщение на экраны: { text, durationMs? }, пустой текст - убрать
+      message: async ({ text, durationMs }) => {
+        const clean = String(text || '').trim();
+        state.message = clean
+          ? { text: clean, until: durationMs ? Date.now() + durationMs : null }
+          : null;
+        this.broadcast({ type: 'message', data: state.message });
+        return state.message;
+      }
+    };
+  }
+
+  // === ИСТОЧНИК ===
+
+  _bindSource() {
+    const { source, state, resolver, coverProvider } = this;
+
+    source.on('trackChanged', async ({ artist, title, duration = null }) => {
+      state.artist = artist;
+      state.title = title;
+      state.lyrics = null;
+      state.lyricsStatus = 'loading';
+      state.coverUrl = null;
+      state.entry = null;
+      state.line = null;
+      state.offsetMs = 0;
+      this.loadedLyrics = null;
+      this.lineTracker.setLyrics(null);
+      const signal = this.startTrackJob();
+      this.history.start(this.name, { artist, title, duration });
+
+      this.broadcast({ type: 'track', data: { artist, title, status: 'loading' } });
+      this.oscSender.sendTrack({ artist, title });
+      this.oscSender.sendLyricsStatus('loading');
+
+      // Параллельно ищем лирику и обложку
+      this.reportProgress(signal, 'cover', 'lookup');
+      const [lyricsResult, coverUrl] = await Promise.all([
+        resolver.resolve(artist, title, {
+          duration,
+          signal,
+          onProgress: (stage, detail) => this.reportProgress(signal, 'lyrics', stage, detail)
+        }).catch(err => {
+          if (err.name !== 'AbortError') logger.error(`Resolve error: ${err.message}`);
+          return null;
+        }),
+        coverProvider.getCover(artist, title, duration).catch(err => {
+          logger.error(`Cover error: ${err.message}`);
+          return null;
+        })
+      ]);
+
+      // Пока искали, DJ сменил трек - результат устарел
+      if (signal.aborted) {
+        logger.debug(`Discarding stale results: ${artist} - ${title}`);
+        return;
+      }
+      this.reportProgress(signal, 'cover', coverUrl ? 'found' : 'not_found');
+
+      // Обложка
+      this.history.update(this.name, { coverFound: !!coverUrl });
+      if (coverUrl) {
+        state.coverUrl = coverUrl;
+        this.broadcast({ type: 'cover', data: coverUrl });
+      }
+
+      // Лирика
+      await this.applyLyricsResult(artist, title, lyricsResult, signal);
+    });
+
+    // Трек загружен на дек не в эфире: заранее кладём лирику и обложку в кэш,
+    // чтобы к моменту перехода на этот дек всё уже было готово
+    source.on('deckTrackChanged', ({ deck, artist, title, duration = null }) => {
+      if (deck === source.onAirDeck) return;
+
+      logger.info(`Prefetching deck ${deck}: ${artist} - ${title}`);
+      Promise.all([
+        resolver.resolve(artist, title, { duration }),
+        coverProvider.getCover(artist, title, duration)
+      ]).catch(err => {
+        logger.error(`Prefetch error (deck ${deck}): ${err.message}`);
+      });
+    });
+
+    source.on('onAirChanged', ({ deck }) => {
+      state.onAirDeck = deck;
+      this.broadcast({ type: 'onAir', data: deck });
+    });
+
+    source.on('time', (time) => {
+      state.time = time;
+      this.lineTracker.update(time);
+      this.broadcast({ type: 'time', data: time, ts: Date.now() });
+    });
+
+    source.on('transport', (transport) => {
+      state.transport = transport;
+      this.broadcast({ type: 'transport', data: transport, ts: Date.now() });
+    });
+
+    // Hot cue / луп / рестарт того же трека: трек не меняется, но дисплеям нужен чистый прыжок
+    for (const kind of ['seek', 'loop', 'restart']) {
+      source.on(kind, (jump) => {
+        state.time = jump.to;
+        this.lineTracker.update(jump.to);
+        this.broadcast({ type: kind, data: jump, ts: Date.now() });
+      });
+    }
+
+    // Источник замолчал: дисплеи должны перестать экстраполировать время
+    const updateSourceHealth = () => {
+      state.source = source.getHealth();
+      this.broadcast({ type: 'source', data: state.source });
+    };
+    source.on('sourceLost', updateSourceHealth);
+    source.on('sourceRestored', updateSourceHealth);
+
+    source.on('bpm', (bpm) => {
+      state.bpm = bpm;
+      this.broadcast({ type: 'bpm', data: bpm });
+    });
+  }
+}
+
+module.exports = { Channel, getChannelConfigs, resolveChannelConfig };
@@ -0,0 +1,45 @@
+/**
+ * WebSocket-команды оператора
+ *
+ * Клиент: { type: 'command', id?, command, token?, ...параметры }
+ * Ответ:  { type: 'commandResult', data: { id, command, ok, result?, error? } }
+ *
+ * Если задан token (config.server.operatorToken) - без него команды не выполняются
+ */
+
+const logger = require('./util/logger');
+
+function createCommandRouter({ token = '', commands }) {
+  function reply(ws, data) {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: 'commandResult', data }));
+    }
+  }
+
+  return async function handleCommand(ws, msg) {
+    const { id = null, command, token: clientToken, ...params } = msg;
+    delete params.type;
+
+    if (token && clientToken !== token) {
+      reply(ws, { id, command, ok: false, error: 'Unauthorized' });
+      return;
+    }
+
+    const handler = commands[command];
+    if (!handler) {
+      reply(ws, { id, command, ok: false, error: `Unknown command: ${command}` });
+      return;
+    }
+
+    try {
+      logger.info(`Command: ${command}`);
+      const result = await handler(params);
+      reply(ws, { id, command, ok: true, result: result ?? null });
+    } catch (err) {
+      logger.warn(`Command ${command} failed: ${err.message}`);
+      reply(ws, { id, command, ok: false, error: err.message });
+    }
+  };
+}
+
+module.exports = { createCommandRouter };
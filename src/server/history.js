@@ -0,0 +1,215 @@
+/**
+ * История сессии: что реально играло
+ *
+ * Сессия - один запуск сервера, файл data/history/session_<время>.json.
+ * Каждый trackChanged канала открывает запись и закрывает предыдущую этого канала:
+ * { id, channel, artist, title, duration, startedAt, endedAt, lyricsStatus, provider, coverFound }
+ *
+ * Экспорт: CSV (отчёт площадке), M3U8 (читает prefetch.js) и текстовый сетлист
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonSafe, writeJsonAtomic } = require('./util/fs_atomic');
+const logger = require('./util/logger');
+
+const SESSION_FILE_RE = /^session_(.+)\.json$/;
+
+class SessionHistory {
+  constructor(config = {}) {
+    this.dir = config.dir || './data/history';
+    this.startedAt = new Date().toISOString();
+    this.id = this.startedAt.replace(/[:.]/g, '-');
+    this.filePath = path.join(this.dir, `session_${this.id}.json`);
+    this.entries = [];
+    this.current = new Map(); // channel -> открытая запись
+    this.nextId = 1;
+
+    // Запись как у library: по очереди, подряд идущие изменения - одной записью
+    this.saveChain = Promise.resolve();
+    this.pendingSave = null;
+  }
+
+  /**
+   * Трек сменился на канале: закрываем прошлую запись, открываем новую
+   */
+  start(channel, { artist, title, duration = null }) {
+    const now = new Date().toISOString();
+    this.end(channel, now);
+
+    const entry = {
+      id: this.nextId++,
+      channel,
+      artist,
+      title,
+      duration,
+      startedAt: now,
+      endedAt: null,
+      lyricsStatus: 'loading',
+      provider: null,
+      coverFound: false
+    };
+    this.entries.push(entry);
+    this.current.set(channel, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Обновляет открытую запись канала (lyricsStatus, provider, coverFound)
+   */
+  update(channel, patch) {
+    const entry = this.current.get(channel);
+    if (!entry) return null;
+
+    Object.assign(entry, patch);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Закрывает все открытые записи (выход сервера) и дожидается записи
+   */
+  async finish() {
+    const now = new Date().toISOString();
+    for (const channel of [...this.current.keys()]) {
+      this.end(channel, now);
+    }
+    this.save();
+    await this.saveChain;
+  }
+
+  /**
+   * Закрывает открытую запись канала (смена трека, канал убран из конфига)
+   */
+  end(channel, at = new Date().toISOString()) {
+    const entry = this.current.get(channel);
+    if (entry) {
+      entry.endedAt = at;
+      this.current.delete(channel);
+      this.save();
+    }
+  }
+
+  save() {
+    if (!this.pendingSave) {
+      this.pendingSave = this.saveChain.then(() => {
+        this.pendingSave = null;
+        return writeJsonAtomic(this.filePath, {
+          id: this.id,
+          startedAt: this.startedAt,
+          entries: this.entries
+        });
+      });
+      this.saveChain = this.pendingSave.catch(err => {
+        logger.error(`History save failed: ${err.message}`);
+      });
+    }
+    return this.pendingSave;
+  }
+
+  /**
+   * Сессии на диске, новые первыми: [{ id, current }]
+   */
+  async listSessions() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      names = [];
+    }
+
+    const ids = new Set(names.map(name => SESSION_FILE_RE.exec(name)?.[1]).filter(Boolean));
+    ids.add(this.id);
+    return [...ids]
+      .sort((a, b) => b.localeCompare(a))
+      .map(id => ({ id, current: id === this.id }));
+  }
+
+  /**
+   * Записи сессии (по умолчанию - текущей) или null, если такой нет
+   */
+  async getSession(id = this.id) {
+    if (id === this.id) {
+      return { id, startedAt: this.startedAt, entries: this.entries };
+    }
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    const data = await readJsonSafe(path.join(this.dir, `session_${id}.json`), null);
+    return data && Array.isArray(data.entries) ? data : null;
+  }
+}
+
+// === ЭКСПОРТ ===
+
+/**
+ * Отбор записей: { channel, status } - status 'missing' значит "лирики не нашлось"
+ */
+function filterEntries(entries, { channel = null, status = null } = {}) {
+  return entries.filter(entry => {
+    if (channel && entry.channel !== channel) return false;
+    if (status === 'missing') return entry.lyricsStatus !== 'found';
+    if (status && entry.lyricsStatus !== status) return false;
+    return true;
+  });
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const header = [
+    'started_at', 'ended_at', 'channel', 'artist', 'title',
+    'duration', 'lyrics_status', 'provider', 'cover_found'
+  ];
+  const rows = entries.map(entry => [
+    entry.startedAt,
+    entry.endedAt,
+    entry.channel,
+    entry.artist,
+    entry.title,
+    entry.duration,
+    entry.lyricsStatus,
+    entry.provider,
+    entry.coverFound ? 'yes' : 'no'
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Формат, который понимает prefetch.js: #EXTINF:<сек>,Artist - Title
+function toM3u8(entries) {
+  const lines = ['#EXTM3U'];
+  for (const entry of entries) {
+    const seconds = entry.duration ? Math.round(entry.duration) : -1;
+    lines.push(`#EXTINF:${seconds},${entry.artist} - ${entry.title}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatClock(iso) {
+  const d = new Date(iso);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function toSetlist(session, entries) {
+  const date = new Date(session.startedAt).toLocaleDateString();
+  const lines = [`Setlist - ${date}`, ''];
+  // Канал пишем, только если залов было больше одного
+  const showChannel = new Set(entries.map(entry => entry.channel)).size > 1;
+
+  entries.forEach((entry, i) => {
+    const notes = [];
+    if (entry.lyricsStatus !== 'found') notes.push('no lyrics');
+    if (!entry.coverFound) notes.push('no cover');
+    const suffix = notes.length ? `  [${notes.join(', ')}]` : '';
+    const channel = showChannel ? ` (${entry.channel})` : '';
+    lines.push(`${i + 1}. ${formatClock(entry.startedAt)}${channel}  ${entry.artist} - ${entry.title}${suffix}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { SessionHistory, filterEntries, toCsv, toM3u8, toSetlist };
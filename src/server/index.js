@@ -2,34 +2,43 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { WebSocketServer } = require('ws');
-const LinkBridge = require('./link-bridge');
 const Resolver = require('./lyrics/resolver');
 const CoverProvider = require('./lyrics/providers/cover');
+const { Channel, getChannelConfigs } = require('./channel');
+const { SessionHistory } = require('./history');
+const { createApi } = require('./api');
+const { createStaticHandler } = require('./static');
+const ConfigWatcher = require('./util/config-watcher');
+const { Gauge, handleMetrics } = require('./metrics');
 const logger = require('./util/logger');
 
-// Загружаем конфиг
+// Загружаем конфиг (перечитывается на лету, см. applyConfig)
 const configPath = path.join(__dirname, '../../config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-// Текущее состояние для клиентов
-let currentState = {
-  artist: '',
-  title: '',
-  time: 0,
-  bpm: 0,
-  lyrics: null,
-  lyricsStatus: 'none',
-  coverUrl: null
-};
-
-// WebSocket клиенты
-const wsClients = new Set();
-
-function broadcast(data) {
-  const msg = JSON.stringify(data);
-  for (const ws of wsClients) {
-    if (ws.readyState === 1) {
-      ws.send(msg);
+let config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+// Сколько ждём запросы в полёте и запись library при выходе
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Без этих секций сервер не работает: новый конфиг без них не применяем
+const REQUIRED_SECTIONS = ['server', 'paths', 'providers'];
+const REQUIRED_PATHS = ['lyricsRaw', 'lyricsJson', 'library'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkConfig(next) {
+  if (!isObject(next)) {
+    throw new Error('config must be an object');
+  }
+  for (const section of REQUIRED_SECTIONS) {
+    if (!isObject(next[section])) {
+      throw new Error(`"${section}" section is missing`);
+    }
+  }
+  for (const key of REQUIRED_PATHS) {
+    if (typeof next.paths[key] !== 'string' || !next.paths[key]) {
+      throw new Error(`"paths.${key}" is missing`);
     }
   }
 }
@@ -46,119 +55,342 @@ async function main() {
   });
   await coverProvider.init();
 
-  // HTTP сервер для статики
-  const server = http.createServer((req, res) => {
-    const mimeTypes = {
-      '.html': 'text/html',
-      '.js': 'text/javascript',
-      '.css': 'text/css',
-      '.json': 'application/json',
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-      '.svg': 'image/svg+xml'
-    };
-
-    let filePath;
-    
-    // Роут для обложек
-    if (req.url.startsWith('/covers/')) {
-      filePath = path.join(__dirname, '../../data/covers', decodeURIComponent(req.url.slice(8)));
-    } else {
-      filePath = path.join(__dirname, '../public', req.url === '/' ? 'index.html' : req.url);
+  // История сессии: что играло во всех каналах
+  const history = new SessionHistory({ dir: config.paths?.history });
+
+  // Каналы (залы): у каждого свой источник и клиенты, library и resolver общие
+  const channels = new Map();
+
+  // Сдвиг лирики трека: сохраняем в библиотеке и применяем во всех каналах, где он играет
+  async function setTrackOffset(key, offsetMs) {
+    const entry = await resolver.library.update(key, { offsetMs: Math.round(offsetMs) });
+    if (!entry) return null;
+
+    for (const channel of channels.values()) {
+      channel.applyEntryOffset(entry);
     }
-    
-    const ext = path.extname(filePath).toLowerCase();
+    return entry;
+  }
 
-    fs.readFile(filePath, (err, content) => {
-      if (err) {
-        res.writeHead(404);
-        res.end('Not found');
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' });
-      res.end(content);
+  // Перевод трека: файл-компаньон в lyrics_raw, каналы с этим треком получают его сразу
+  async function setTrackTranslation(key, content, format) {
+    const entry = resolver.library.get(key);
+    if (!entry) return null;
+
+    const saved = await resolver.store.saveTranslation(entry.artist, entry.title, content, format);
+    for (const channel of channels.values()) {
+      await channel.reloadEntryLyrics(entry);
+    }
+    return { key, ...saved };
+  }
+
+  function createChannel(name, channelConfig) {
+    return new Channel(name, channelConfig, {
+      resolver,
+      coverProvider,
+      history,
+      setOffset: setTrackOffset
     });
+  }
+
+  for (const { name, config: channelConfig } of getChannelConfigs(config)) {
+    channels.set(name, createChannel(name, channelConfig));
+  }
+  let defaultChannel = channels.values().next().value;
+
+  // Канал по имени; без имени - первый из конфига
+  function getChannel(name) {
+    if (!name) return defaultChannel;
+    return channels.get(name) || null;
+  }
+
+  // Метрики, которые считаются в момент запроса /metrics
+  new Gauge({
+    name: 'karaoke_library_tracks',
+    help: 'Tracks in the lyrics library',
+    collect: () => [{ value: resolver.library.size }]
+  });
+  new Gauge({
+    name: 'karaoke_ws_clients',
+    help: 'Connected WebSocket clients',
+    labelNames: ['channel'],
+    collect: () => [...channels.values()].map(channel => ({
+      labels: { channel: channel.name },
+      value: channel.clients.size
+    }))
+  });
+  new Gauge({
+    name: 'karaoke_source_silence_seconds',
+    help: 'Seconds since the last message from the playback source',
+    labelNames: ['channel'],
+    collect: () => [...channels.values()].map(channel => {
+      const { silentMs } = channel.source.getHealth();
+      return { labels: { channel: channel.name }, value: silentMs === null ? null : silentMs / 1000 };
+    })
+  });
+
+  // REST API
+  function buildApi() {
+    return createApi({
+      getState: (name, clean) => getChannel(name)?.getState(clean) || null,
+      getChannels: () => [...channels.values()].map(channel => channel.getSummary()),
+      resolver,
+      history,
+      setOffset: setTrackOffset,
+      setTranslation: setTrackTranslation,
+      token: config.server.operatorToken
+    });
+  }
+  let api = buildApi();
+
+  // Статика: страницы из public/ и скачанные обложки
+  const servePublic = createStaticHandler({
+    root: path.join(__dirname, '../public'),
+    pages: {
+      '/': 'index.html',
+      '/operator': 'operator.html',
+      '/overlay': 'overlay.html'
+    }
   });
+  function buildCoversHandler() {
+    return createStaticHandler({
+      root: coverProvider.coversDir,
+      prefix: '/covers/',
+      maxAge: 24 * 60 * 60
+    });
+  }
+  let serveCovers = buildCoversHandler();
 
-  // WebSocket сервер
+  // HTTP сервер для статики и API
+  const server = http.createServer(async (req, res) => {
+    // URL разбираем один раз: "//" и прочий мусор от сканеров - 400, а не ошибка сервера
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      logger.debug(`HTTP: malformed URL ${req.url}`);
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(http.STATUS_CODES[400]);
+      return;
+    }
+
+    try {
+      if (await api.handle(req, res, url)) return;
+      if (handleMetrics(req, res, url)) return;
+      if (await serveCovers(req, res, url)) return;
+      await servePublic(req, res, url);
+    } catch (err) {
+      logger.error(`HTTP error (${req.url}): ${err.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500);
+      }
+      res.end();
+    }
+  });
+
+  // WebSocket сервер: канал выбирается ?channel= в URL или сообщением subscribe,
+  // чистый режим экрана - ?clean=1|0 или сообщением clean
   const wss = new WebSocketServer({ server });
   
-  wss.on('connection', (ws) => {
-    logger.info('Client connected');
-    wsClients.add(ws);
-    
-    ws.send(JSON.stringify({ type: 'state', data: currentState }));
+  wss.on('connection', (ws, req) => {
+    // Кривой URL (например "//") не должен ронять сервер: клиент идёт в канал по умолчанию
+    let params;
+    try {
+      params = new URL(req.url, 'http://localhost').searchParams;
+    } catch {
+      logger.warn(`Client connected with malformed URL: ${req.url}`);
+      params = new URLSearchParams();
+    }
+    const requested = params.get('channel');
+    let channel = getChannel(requested);
+    if (!channel) {
+      logger.warn(`Unknown channel "${requested}", using "${defaultChannel.name}"`);
+      ws.send(JSON.stringify({ type: 'error', data: { message: `Unknown channel: ${requested}` } }));
+      channel = defaultChannel;
+    }
+
+    if (params.has('clean')) channel.setClientClean(ws, params.get('clean') !== '0');
+
+    logger.info(`Client connected (channel "${channel.name}")`);
+    channel.addClient(ws);
+
+    ws.on('message', (raw) => {
+      const receivedAt = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        logger.warn('Client sent invalid JSON');
+        return;
+      }
+      if (!msg || typeof msg !== 'object') {
+        logger.warn('Client sent a non-object message');
+        return;
+      }
+
+      // Ошибка в одном сообщении не должна ронять сервер
+      try {
+        if (msg.type === 'command') channel.handleCommand(ws, msg);
+
+        // Переход в другой канал: клиент получает его state заново
+        if (msg.type === 'subscribe') {
+          const next = getChannel(msg.channel);
+          if (!next) {
+            ws.send(JSON.stringify({ type: 'error', data: { message: `Unknown channel: ${msg.channel}` } }));
+            return;
+          }
+          channel.removeClient(ws);
+          channel = next;
+          channel.addClient(ws);
+          logger.info(`Client switched to channel "${channel.name}"`);
+        }
+
+        // Чистый режим этого экрана: { on: true | false | null } (null - как у канала)
+        if (msg.type === 'clean') {
+          channel.setClientClean(ws, typeof msg.on === 'boolean' ? msg.on : null);
+        }
+
+        // Синхронизация часов (NTP): t0 - отправка клиентом, t1 - приём, t2 - ответ
+        if (msg.type === 'ping') {
+          ws.send(JSON.stringify({
+            type: 'pong',
+            data: { id: msg.id, t0: msg.t0, t1: receivedAt, t2: Date.now() }
+          }));
+        }
+      } catch (err) {
+        logger.error(`Client message ${msg.type} failed: ${err.message}`);
+      }
+    });
     
     ws.on('close', () => {
-      wsClients.delete(ws);
+      channel.removeClient(ws);
       logger.info('Client disconnected');
     });
   });
 
-  // Link Bridge (OSC от rkbx_link)
-  const bridge = new LinkBridge(config.osc);
-  
-  bridge.on('trackChanged', async ({ artist, title }) => {
-    currentState.artist = artist;
-    currentState.title = title;
-    currentState.lyrics = null;
-    currentState.lyricsStatus = 'loading';
-    currentState.coverUrl = null;
-    
-    broadcast({ type: 'track', data: { artist, title, status: 'loading' } });
-    
-    // Параллельно ищем лирику и обложку
-    const [lyricsResult, coverUrl] = await Promise.all([
-      resolver.resolve(artist, title),
-      coverProvider.getCover(artist, title).catch(err => {
-        logger.error(`Cover error: ${err.message}`);
-        return null;
-      })
-    ]);
-    
-    // Обложка
-    if (coverUrl) {
-      currentState.coverUrl = coverUrl;
-      broadcast({ type: 'cover', data: coverUrl });
+  for (const channel of channels.values()) {
+    channel.start();
+  }
+
+  /**
+   * Горячая перезагрузка config.json: провайдеры, пути, каналы, токен.
+   * Каналы с изменённым источником перезапускают его (например, новый OSC-порт).
+   * server.httpPort без перезапуска не меняется
+   */
+  async function applyConfig(next) {
+    // Новые источники и каналы создаём до того, как что-то меняем:
+    // ошибка в конфиге любого канала оставляет работать прежний
+    let plan;
+    try {
+      checkConfig(next);
+      plan = getChannelConfigs(next).map(({ name, config: channelConfig }) => {
+        const channel = channels.get(name);
+        if (!channel) {
+          return { name, channel: createChannel(name, channelConfig), added: true };
+        }
+        return { name, channel, config: channelConfig, source: channel.prepareSource(channelConfig) };
+      });
+    } catch (err) {
+      logger.warn(`Config not applied: ${err.message}`);
+      return;
     }
-    
-    // Лирика
-    if (lyricsResult) {
-      try {
-        const lyrics = await resolver.store.load(lyricsResult.jsonPath);
-        currentState.lyrics = lyrics;
-        currentState.lyricsStatus = 'found';
-        broadcast({ type: 'lyrics', data: { status: 'found', lyrics } });
-      } catch (err) {
-        logger.error(`Failed to load lyrics: ${err.message}`);
-        currentState.lyricsStatus = 'not_found';
-        broadcast({ type: 'lyrics', data: { status: 'not_found' } });
+
+    logger.info('Config changed, applying...');
+    if ((next.server?.httpPort || 3000) !== (config.server?.httpPort || 3000)) {
+      logger.warn('server.httpPort change requires a restart');
+    }
+    config = next;
+
+    await resolver.applyConfig(config);
+
+    const coversDir = config.paths?.covers || './data/covers';
+    if (coversDir !== coverProvider.coversDir) {
+      coverProvider.coversDir = coversDir;
+      await coverProvider.init();
+      serveCovers = buildCoversHandler();
+    }
+
+    api = buildApi();
+
+    // Каналы в порядке конфига: существующие перенастраиваем, новые запускаем, лишние закрываем
+    const previous = new Map(channels);
+    channels.clear();
+    for (const { name, channel, config: channelConfig, source, added } of plan) {
+      if (added) {
+        channel.start();
+        logger.info(`Channel "${name}" added`);
+      } else {
+        previous.delete(name);
+        channel.applyConfig(channelConfig, source);
       }
-    } else {
-      currentState.lyricsStatus = 'not_found';
-      broadcast({ type: 'lyrics', data: { status: 'not_found' } });
+      channels.set(name, channel);
     }
-  });
+    for (const [name, channel] of previous) {
+      channel.stop();
+      logger.info(`Channel "${name}" removed`);
+    }
+    defaultChannel = channels.values().next().value;
 
-  bridge.on('time', (time) => {
-    currentState.time = time;
-    broadcast({ type: 'time', data: time });
-  });
+    logger.info('Config applied');
+  }
 
-  bridge.on('bpm', (bpm) => {
-    currentState.bpm = bpm;
-    broadcast({ type: 'bpm', data: bpm });
+  const configWatcher = new ConfigWatcher(configPath);
+  // Перезагрузки по очереди: следующая начинается, когда предыдущая закончила
+  let applying = Promise.resolve();
+  configWatcher.on('change', (next) => {
+    applying = applying.then(() => applyConfig(next)).catch(err => {
+      logger.error(`Config reload failed: ${err.message}`);
+    });
   });
+  configWatcher.start();
+
+  // Ctrl-C / SIGTERM: предупреждаем клиентов, дожидаемся записи library и загрузок
+  // Повторный сигнал - принудительный выход. Но npm start пересылает Ctrl-C
+  // дочернему процессу, и тот же сигнал приходит дважды подряд - его пропускаем
+  const FORCE_EXIT_AFTER_MS = 1000;
+  let shuttingDownAt = 0;
+
+  async function shutdown(signal) {
+    if (shuttingDownAt) {
+      if (Date.now() - shuttingDownAt < FORCE_EXIT_AFTER_MS) return;
+      logger.warn('Forced exit');
+      process.exit(1);
+    }
+    shuttingDownAt = Date.now();
+    logger.info(`${signal} received, shutting down...`);
+
+    configWatcher.stop();
+    server.close();
+    const stopping = [];
+    for (const channel of channels.values()) {
+      channel.broadcast({ type: 'shutdown', data: { reason: signal } });
+      stopping.push(channel.stop());
+    }
+    wss.close();
+
+    let timer;
+    const drained = await Promise.race([
+      Promise.all([resolver.drain(), coverProvider.drain(), ...stopping])
+        .then(() => history.finish())
+        .then(() => true),
+      new Promise(resolve => { timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS, false); })
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      logger.warn(`Pending work not finished in ${SHUTDOWN_TIMEOUT_MS} ms, exiting anyway`);
+    }
+    logger.info('Server stopped');
+    process.exit(0);
+  }
 
-  bridge.start();
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
 
   const port = config.server.httpPort || 3000;
   server.listen(port, () => {
     logger.info(`Server running on http://localhost:${port}`);
-    logger.info('Waiting for OSC from rkbx_link...');
+    logger.info(`Channels: ${[...channels.keys()].join(', ')}`);
   });
 }
 
@@ -1,156 +1,307 @@
 /**
  * Link Bridge - принимает OSC от rkbx_link
  * 
- * Ожидаемые сообщения:
- * /track/master/title (string)
- * /track/master/artist (string)
- * /time/master (float) - позиция в секундах
- * /bpm/master/current (float)
- * /beat/master (float)
+ * Ожидаемые сообщения по умолчанию (<deck> = master | 1..4):
+ * /track/<deck>/title (string)
+ * /track/<deck>/artist (string)
+ * /time/<deck> (float) - позиция в секундах
+ * /bpm/<deck>/current (float)
+ * /beat/<deck> (float)
+ *
+ * Адреса переопределяются через config.osc.mapping (см. osc/mapping.js)
+ *
+ * События master-дорожки: trackChanged, time, bpm, beat
+ * События отдельных деков: deckTrackChanged, deckTime, deckBpm
+ * Смена дека в эфире: onAirChanged
+ * Состояние воспроизведения master (по /time/master): transport
+ * Разрывы позиции master: seek, loop, restart
+ * Тишина на сокете дольше watchdog.timeoutMs: sourceLost / sourceRestored
+ *
+ * При record.enabled весь входящий трафик пишется в файл сессии
+ * (повтор: npm run emulator -- --replay <file>)
  */
 
 const dgram = require('dgram');
 const { EventEmitter } = require('events');
+const { decodePacket, flattenPacket } = require('./osc/decoder');
+const { compileMapping, matchMessage, normalizeDeck } = require('./osc/mapping');
+const TransportTracker = require('./transport');
+const Watchdog = require('./util/watchdog');
+const { OscRecorder } = require('./osc/recorder');
+const { Counter } = require('./metrics');
 const logger = require('./util/logger');
 
-// Простой OSC парсер (без зависимостей)
-function parseOscMessage(buffer) {
-  let offset = 0;
-
-  // Читаем адрес (null-terminated string, padded to 4 bytes)
-  let addressEnd = buffer.indexOf(0, offset);
-  if (addressEnd === -1) return null;
-  
-  const address = buffer.toString('utf8', offset, addressEnd);
-  offset = Math.ceil((addressEnd + 1) / 4) * 4;
-
-  // Читаем type tag string
-  if (buffer[offset] !== 0x2C) return null; // должно начинаться с ','
-  
-  let typeTagEnd = buffer.indexOf(0, offset);
-  if (typeTagEnd === -1) return null;
-  
-  const typeTags = buffer.toString('utf8', offset + 1, typeTagEnd);
-  offset = Math.ceil((typeTagEnd + 1) / 4) * 4;
-
-  // Читаем аргументы
-  const args = [];
-  for (const tag of typeTags) {
-    switch (tag) {
-      case 'f': // float32
-        args.push(buffer.readFloatBE(offset));
-        offset += 4;
-        break;
-      case 'i': // int32
-        args.push(buffer.readInt32BE(offset));
-        offset += 4;
-        break;
-      case 's': // string
-        let strEnd = buffer.indexOf(0, offset);
-        if (strEnd === -1) strEnd = buffer.length;
-        args.push(buffer.toString('utf8', offset, strEnd));
-        offset = Math.ceil((strEnd + 1) / 4) * 4;
-        break;
-      default:
-        // Неизвестный тип, пропускаем
-        break;
-    }
-  }
+const TRACK_DEBOUNCE_MS = 50;
+
+// Больше адресов не заводим отдельными рядами метрик - мусорный трафик
+// не должен раздувать /metrics
+const MAX_METRIC_ADDRESSES = 100;
+
+const oscMessages = new Counter({
+  name: 'karaoke_osc_messages_total',
+  help: 'OSC messages received, by listening port and address',
+  labelNames: ['port', 'address']
+});
+const oscMalformed = new Counter({
+  name: 'karaoke_osc_malformed_total',
+  help: 'OSC packets dropped as malformed',
+  labelNames: ['port']
+});
+const metricAddresses = new Set();
+
+function metricAddress(address) {
+  if (metricAddresses.has(address)) return address;
+  if (metricAddresses.size >= MAX_METRIC_ADDRESSES) return 'other';
+  metricAddresses.add(address);
+  return address;
+}
 
-  return { address, args };
+function createDeckState() {
+  return {
+    artist: '',
+    title: '',
+    duration: null,
+    time: 0,
+    bpm: 0,
+    beat: 0
+  };
 }
 
 class LinkBridge extends EventEmitter {
   constructor(config) {
     super();
+    this.name = 'osc';
     this.host = config.host || '127.0.0.1';
     this.port = config.port || 4460;
     this.socket = null;
+    this.mapping = compileMapping(config.mapping);
+    this.recorder = config.record?.enabled ? new OscRecorder(config.record) : null;
     
-    // Текущее состояние
+    // Текущее состояние: master + отдельные деки (ключ - номер дека)
     this.state = {
-      master: {
-        artist: '',
-        title: '',
-        time: 0,
-        bpm: 0,
-        beat: 0
-      }
+      master: createDeckState(),
+      decks: {}
     };
+
+    // Дек, который сейчас в эфире (определяется по совпадению с master)
+    this.onAirDeck = null;
     
-    // Для отслеживания смены трека
-    this.lastTrackKey = '';
-    this.trackChangeTimer = null;
+    // Для отслеживания смены трека (ключ - 'master' или номер дека)
+    this.lastTrackKeys = {};
+    this.trackChangeTimers = {};
+
+    // Счётчик отброшенных битых пакетов
+    this.malformedCount = 0;
+
+    // Play/pause/скорость по потоку /time/master
+    this.transport = new TransportTracker(config.transport);
+    this.transport.on('change', (transport) => this.emit('transport', transport));
+    // Сторож: rkbx_link упал или сокет перестал получать пакеты
+    this.watchdog = new Watchdog(config.watchdog);
+    this.watchdog.on('lost', (health) => {
+      logger.warn(`OSC source lost: no messages for ${health.silentMs}ms`);
+      this.emit('sourceLost', health);
+    });
+    this.watchdog.on('restored', (health) => {
+      logger.info('OSC source restored');
+      this.emit('sourceRestored', health);
+    });
+
+    this.transport.on('jump', (jump) => {
+      // Загрузка нового трека тоже прыгает в начало - это не рестарт
+      if (jump.kind === 'restart' && this.trackChangeTimers.master) return;
+
+      logger.debug(`Jump (${jump.kind}): ${jump.from.toFixed(2)} -> ${jump.to.toFixed(2)}`);
+      this.emit(jump.kind, jump);
+    });
   }
 
   start() {
-    this.socket = dgram.createSocket('udp4');
-    
-    this.socket.on('message', (msg) => {
-      try {
-        const osc = parseOscMessage(msg);
-        if (osc) this.handleOsc(osc);
-      } catch (err) {
-        logger.error('OSC parse error:', err.message);
-      }
+    const socket = dgram.createSocket('udp4');
+    this.socket = socket;
+
+    socket.on('message', (msg, rinfo) => {
+      if (this.recorder) this.recorder.write(msg, rinfo);
+      this.handlePacket(msg, rinfo);
     });
 
-    this.socket.on('error', (err) => {
+    socket.on('error', (err) => {
       logger.error('OSC socket error:', err.message);
     });
 
-    this.socket.bind(this.port, this.host, () => {
-      logger.info(`LinkBridge listening on ${this.host}:${this.port}`);
+    // Порт открываем только после файла записи - иначе первые пакеты сессии
+    // (обычно загрузка трека) в запись не попадут
+    const recording = this.recorder
+      ? this.recorder.start(`${this.host}:${this.port}`).catch((err) => {
+        logger.error(`Cannot start OSC recording: ${err.message}`);
+      })
+      : Promise.resolve();
+
+    recording.then(() => {
+      // Остановлен, пока открывался файл записи
+      if (this.socket !== socket) return;
+
+      socket.bind(this.port, this.host, () => {
+        logger.info(`LinkBridge listening on ${this.host}:${this.port}`);
+      });
     });
+
+    this.watchdog.start();
   }
 
-  handleOsc({ address, args }) {
-    // /track/master/title
-    if (address === '/track/master/title' && args[0]) {
-      this.state.master.title = args[0];
-      this.checkTrackChange();
+  /**
+   * Принимает сырой UDP-пакет: сообщение или бандл (сообщения бандла
+   * обрабатываются по порядку)
+   */
+  handlePacket(msg, rinfo = null) {
+    let messages;
+    try {
+      messages = flattenPacket(decodePacket(msg));
+    } catch (err) {
+      this.malformedCount++;
+      oscMalformed.inc({ port: this.port });
+      const from = rinfo ? ` from ${rinfo.address}:${rinfo.port}` : '';
+      logger.warn(`OSC packet dropped${from} (${msg.length} bytes): ${err.message}`);
+      this.emit('malformed', { error: err, packet: msg, rinfo });
+      return;
     }
-    // /track/master/artist
-    else if (address === '/track/master/artist' && args[0]) {
-      this.state.master.artist = args[0];
-      this.checkTrackChange();
+
+    this.watchdog.feed();
+
+    for (const osc of messages) {
+      oscMessages.inc({ port: this.port, address: metricAddress(osc.address) });
+      try {
+        this.handleOsc(osc);
+      } catch (err) {
+        logger.error(`OSC handler error (${osc.address}):`, err.message);
+      }
     }
-    // /time/master
-    else if (address === '/time/master' && typeof args[0] === 'number') {
-      this.state.master.time = args[0];
-      this.emit('time', this.state.master.time);
+  }
+
+  getDeckState(deck) {
+    if (deck === 'master') return this.state.master;
+    if (!this.state.decks[deck]) {
+      this.state.decks[deck] = createDeckState();
     }
-    // /bpm/master/current
-    else if (address === '/bpm/master/current' && typeof args[0] === 'number') {
-      this.state.master.bpm = args[0];
-      this.emit('bpm', this.state.master.bpm);
+    return this.state.decks[deck];
+  }
+
+  handleOsc(osc) {
+    for (const { field, deck, value } of matchMessage(this.mapping, osc)) {
+      this.applyField(deck, field, value);
     }
-    // /beat/master
-    else if (address === '/beat/master' && typeof args[0] === 'number') {
-      this.state.master.beat = args[0];
-      this.emit('beat', this.state.master.beat);
+  }
+
+  applyField(deck, field, value) {
+    const deckState = this.getDeckState(deck);
+    const isMaster = deck === 'master';
+
+    switch (field) {
+      case 'title':
+      case 'artist':
+        if (!value || typeof value !== 'string') return;
+        // Длительность прошлого трека к новому не относится
+        if (deckState[field] !== value) deckState.duration = null;
+        deckState[field] = value;
+        this.checkTrackChange(deck);
+        break;
+
+      case 'duration':
+        if (typeof value !== 'number') return;
+        deckState.duration = value;
+        break;
+
+      case 'time':
+        if (typeof value !== 'number') return;
+        deckState.time = value;
+        if (isMaster) {
+          this.emit('time', value);
+          this.transport.update(value);
+          this.updateOnAirDeck();
+        } else {
+          this.emit('deckTime', { deck, time: value });
+        }
+        break;
+
+      case 'bpm':
+        if (typeof value !== 'number') return;
+        deckState.bpm = value;
+        if (isMaster) {
+          this.emit('bpm', value);
+        } else {
+          this.emit('deckBpm', { deck, bpm: value });
+        }
+        break;
+
+      case 'beat':
+        if (typeof value !== 'number') return;
+        deckState.beat = value;
+        if (isMaster) {
+          this.emit('beat', value);
+        } else {
+          this.emit('deckBeat', { deck, beat: value });
+        }
+        break;
     }
   }
 
-  checkTrackChange() {
-    const { artist, title } = this.state.master;
-    const key = `${artist}::${title}`;
+  checkTrackChange(deck) {
+    const deckState = this.getDeckState(deck);
+    const key = `${deckState.artist}::${deckState.title}`;
     
-    if (key !== this.lastTrackKey && artist && title) {
-      // Debounce: ждём 100мс, чтобы оба поля (artist + title) успели обновиться
-      clearTimeout(this.trackChangeTimer);
-      this.trackChangeTimer = setTimeout(() => {
+    if (key !== this.lastTrackKeys[deck] && deckState.artist && deckState.title) {
+      // Debounce: ждём, чтобы оба поля (artist + title) успели обновиться
+      clearTimeout(this.trackChangeTimers[deck]);
+      this.trackChangeTimers[deck] = setTimeout(() => {
+        delete this.trackChangeTimers[deck];
+
         // Перепроверяем после debounce
-        const currentKey = `${this.state.master.artist}::${this.state.master.title}`;
-        if (currentKey !== this.lastTrackKey && this.state.master.artist && this.state.master.title) {
-          this.lastTrackKey = currentKey;
-          logger.info(`Track changed: ${this.state.master.artist} - ${this.state.master.title}`);
-          this.emit('trackChanged', { 
-            artist: this.state.master.artist, 
-            title: this.state.master.title 
-          });
+        const { artist, title, duration } = deckState;
+        const currentKey = `${artist}::${title}`;
+        if (currentKey === this.lastTrackKeys[deck] || !artist || !title) return;
+
+        this.lastTrackKeys[deck] = currentKey;
+
+        if (deck === 'master') {
+          logger.info(`Track changed: ${artist} - ${title}`);
+          this.transport.reset();
+          this.emit('trackChanged', duration ? { artist, title, duration } : { artist, title });
+        } else {
+          logger.info(`Deck ${deck} loaded: ${artist} - ${title}`);
+          this.emit('deckTrackChanged', { deck, artist, title, duration });
         }
-      }, 50);
+
+        this.updateOnAirDeck();
+      }, TRACK_DEBOUNCE_MS);
+    }
+  }
+
+  /**
+   * Определяет дек в эфире: тот же трек, что и на master,
+   * при нескольких совпадениях - ближайший по времени
+   */
+  updateOnAirDeck() {
+    const master = this.state.master;
+    if (!master.artist || !master.title) return;
+
+    let best = null;
+    let bestDiff = Infinity;
+
+    for (const [deckId, deckState] of Object.entries(this.state.decks)) {
+      if (deckState.artist !== master.artist || deckState.title !== master.title) continue;
+
+      const diff = Math.abs(deckState.time - master.time);
+      if (diff < bestDiff) {
+        bestDiff = diff;
+        best = normalizeDeck(deckId);
+      }
+    }
+
+    if (best !== null && best !== this.onAirDeck) {
+      const previous = this.onAirDeck;
+      this.onAirDeck = best;
+      logger.info(`On air: deck ${best}`);
+      this.emit('onAirChanged', { deck: best, previous });
     }
   }
 
@@ -158,11 +309,36 @@ class LinkBridge extends EventEmitter {
     return { ...this.state.master };
   }
 
+  getHealth() {
+    return { name: this.name, ...this.watchdog.getHealth() };
+  }
+
+  getDecks() {
+    const decks = {};
+    for (const [deckId, deckState] of Object.entries(this.state.decks)) {
+      decks[deckId] = { ...deckState, onAir: normalizeDeck(deckId) === this.onAirDeck };
+    }
+    return decks;
+  }
+
+  /**
+   * @returns {Promise} - дописана запись сессии (если она ведётся)
+   */
   stop() {
+    this.transport.stop();
+    this.watchdog.stop();
+    const recorded = this.recorder ? this.recorder.stop() : Promise.resolve();
+
+    for (const timer of Object.values(this.trackChangeTimers)) {
+      clearTimeout(timer);
+    }
+    this.trackChangeTimers = {};
+
     if (this.socket) {
       this.socket.close();
       this.socket = null;
     }
+    return recorded;
   }
 }
 
@@ -0,0 +1,194 @@
+/**
+ * Чистый режим: маскирование ненормативной лексики перед отправкой клиентам
+ *
+ * Словарь по языкам: { ru: [...], en: [...] }. Слово сравнивается только со
+ * словарями своей письменности (кириллица - ru/uk/..., латиница - остальные),
+ * без учёта регистра, ё = е. Латинские буквы-двойники внутри кириллического
+ * слова ("xуй") читаются как кириллица.
+ *
+ * Шаблоны: "слово" - целиком, "корень*" - начало слова, "*корень*" - где угодно
+ *
+ * mask:
+ *   asterisks - первая буква остаётся, остальные *: "f***"
+ *   bleep     - слово заменяется на bleep (по умолчанию "▬▬")
+ *   omit      - текст строки со словом из списка не отправляется (строка остаётся
+ *               пустой, чтобы номера строк совпадали с полной лирикой)
+ */
+
+const CYRILLIC_LANGUAGES = new Set(['ru', 'uk', 'be', 'bg', 'sr', 'mk', 'kk']);
+
+const DEFAULT_WORDS = {
+  ru: [
+    'бля*', 'бляд*', 'хуй*', 'хуе*', 'хуё*', 'хуя*', 'хуи*', '*пизд*',
+    'еба*', 'ебу*', 'ебл*', 'ебн*', 'ебё*', 'ёба*', 'заеб*', 'наеб*',
+    'уеб*', 'выеб*', 'доеб*', 'отъеб*', 'съеб*', 'разъеб*', 'поеб*',
+    'мудак*', 'мудил*', 'пидор*', 'пидар*', 'сука', 'суки', 'сучк*', 'шлюх*', 'гандон*'
+  ],
+  en: [
+    'fuck*', '*fucker*', '*fucking*', 'motherfuck*', 'shit*', 'bullshit*',
+    'bitch*', 'cunt*', 'asshole*', 'dick', 'dicks', 'dickhead*', 'pussy',
+    'cock', 'cocks', 'cocksucker*', 'bastard*', 'whore*', 'slut*', 'nigga*', 'nigger*'
+  ]
+};
+
+const MASKS = ['asterisks', 'bleep', 'omit'];
+
+const DEFAULT_BLEEP = '▬▬';
+
+// Буквы слова (апостроф внутри - часть слова: don't, f'n)
+const WORD_RE = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu;
+const CYRILLIC_RE = /\p{Script=Cyrillic}/u;
+const LATIN_RE = /\p{Script=Latin}/u;
+
+// Латиница, которая в кириллическом слове выглядит как кириллица
+const HOMOGLYPHS = {
+  a: 'а', b: 'в', c: 'с', e: 'е', h: 'н', k: 'к', m: 'м',
+  o: 'о', p: 'р', t: 'т', x: 'х', y: 'у'
+};
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/ё/g, 'е').replace(/’/g, '\'');
+}
+
+function wordScript(word) {
+  const cyrillic = CYRILLIC_RE.test(word);
+  if (cyrillic && LATIN_RE.test(word)) {
+    return { script: 'cyrillic', word: word.replace(/[a-z]/g, ch => HOMOGLYPHS[ch] || ch) };
+  }
+  return { script: cyrillic ? 'cyrillic' : 'latin', word };
+}
+
+function compileDictionary(wordsByLanguage) {
+  const dict = {
+    cyrillic: { exact: new Set(), prefixes: [], infixes: [] },
+    latin: { exact: new Set(), prefixes: [], infixes: [] }
+  };
+
+  for (const [language, words] of Object.entries(wordsByLanguage)) {
+    if (!Array.isArray(words)) continue;
+    const target = dict[CYRILLIC_LANGUAGES.has(language) ? 'cyrillic' : 'latin'];
+
+    for (const raw of words) {
+      const pattern = normalizeWord(String(raw).trim());
+      const core = pattern.replace(/^\*|\*$/g, '');
+      if (!core) continue;
+
+      if (pattern.startsWith('*') && pattern.endsWith('*')) target.infixes.push(core);
+      else if (pattern.endsWith('*')) target.prefixes.push(core);
+      else target.exact.add(core);
+    }
+  }
+  return dict;
+}
+
+/**
+ * @param {object} config - секция profanity
+ * @returns {{ censorText, censorLyrics }}
+ */
+function createCensor(config = {}) {
+  const mask = MASKS.includes(config.mask) ? config.mask : 'asterisks';
+  const bleep = config.bleep || DEFAULT_BLEEP;
+
+  const words = {};
+  for (const source of [config.defaults === false ? {} : DEFAULT_WORDS, config.words || {}]) {
+    for (const [language, list] of Object.entries(source)) {
+      words[language] = [...(words[language] || []), ...(Array.isArray(list) ? list : [])];
+    }
+  }
+  const dict = compileDictionary(words);
+
+  function isProfane(token) {
+    const { script, word } = wordScript(normalizeWord(token));
+    const rules = dict[script];
+    return rules.exact.has(word) ||
+      rules.prefixes.some(prefix => word.startsWith(prefix)) ||
+      rules.infixes.some(infix => word.includes(infix));
+  }
+
+  function maskWord(token) {
+    if (mask === 'bleep') return bleep;
+    const [first, ...rest] = Array.from(token);
+    return first + '*'.repeat(rest.length);
+  }
+
+  /**
+   * Строка -> { text, matched }; в режиме omit текст не меняется,
+   * решение "выкинуть строку" за вызывающим
+   */
+  function censorText(text) {
+    if (!text) return { text, matched: false };
+
+    let matched = false;
+    const result = text.replace(WORD_RE, (token) => {
+      if (!isProfane(token)) return token;
+      matched = true;
+      return mask === 'omit' ? token : maskWord(token);
+    });
+    return { text: result, matched };
+  }
+
+  /**
+   * Слова строки (line.words) с маской: слово из списка может быть разбито
+   * на слоги, поэтому ищем по склеенному тексту и маскируем по позициям
+   */
+  function censorWords(words) {
+    const full = words.map(word => word.text).join('');
+    const ranges = [];
+    for (const match of full.matchAll(WORD_RE)) {
+      if (isProfane(match[0])) ranges.push([match.index, match.index + match[0].length]);
+    }
+    if (ranges.length === 0) return words;
+
+    let offset = 0;
+    return words.map(word => {
+      const start = offset;
+      offset += word.text.length;
+
+      let text = '';
+      for (let i = 0; i < word.text.length; i++) {
+        const pos = start + i;
+        const range = ranges.find(([from, to]) => pos >= from && pos < to);
+        if (!range) text += word.text[i];
+        else if (pos === range[0]) text += mask === 'bleep' ? bleep : word.text[i];
+        else if (mask !== 'bleep') text += '*';
+      }
+      return { ...word, text };
+    });
+  }
+
+  /**
+   * Копия лирики с замаскированными text, words и translation
+   */
+  function censorLyrics(lyrics) {
+    if (!lyrics) return lyrics;
+
+    const lines = [];
+    for (const line of lyrics.lines) {
+      const text = censorText(line.text);
+      const translation = censorText(line.translation);
+
+      // Пустая строка вместо выкинутой: по индексу строки клиенты и OSC-выход
+      // сверяются с lyrics.lines
+      if (mask === 'omit' && (text.matched || translation.matched)) {
+        const { words: _words, translation: _translation, ...rest } = line;
+        lines.push({ ...rest, text: '' });
+        continue;
+      }
+      if (!text.matched && !translation.matched) {
+        lines.push(line);
+        continue;
+      }
+
+      const censored = { ...line, text: text.text };
+      if (line.words && text.matched) censored.words = censorWords(line.words);
+      if (line.translation) censored.translation = translation.text;
+      lines.push(censored);
+    }
+
+    return { ...lyrics, censored: mask, lines };
+  }
+
+  return { censorText, censorLyrics };
+}
+
+module.exports = { createCensor, MASKS };
@@ -8,6 +8,11 @@ class Library {
     this.libraryPath = libraryPath;
     this.index = {}; // key -> { jsonPath, rawPath, format, ... }
     this.loaded = false;
+
+    // Очередь записи: одновременные save() не пишут в один .tmp,
+    // а несколько изменений подряд сливаются в одну запись
+    this.saveChain = Promise.resolve();
+    this.pendingSave = null;
   }
 
   async load() {
@@ -16,8 +21,24 @@ class Library {
     logger.info(`Library loaded: ${Object.keys(this.index).length} tracks`);
   }
 
-  async save() {
-    await writeJsonAtomic(this.libraryPath, this.index);
+  save() {
+    if (!this.pendingSave) {
+      this.pendingSave = this.saveChain.then(() => {
+        this.pendingSave = null;
+        return writeJsonAtomic(this.libraryPath, this.index);
+      });
+      this.saveChain = this.pendingSave.catch(err => {
+        logger.error(`Library save failed: ${err.message}`);
+      });
+    }
+    return this.pendingSave;
+  }
+
+  /**
+   * Дожидается всех запланированных записей (перед выходом)
+   */
+  async flush() {
+    await this.saveChain;
   }
 
   /**
@@ -26,22 +47,47 @@ class Library {
    */
   find(artist, title) {
     const key = makeKey(artist, title);
-    return this.index[key] || null;
+    return Object.hasOwn(this.index, key) ? this.index[key] : null;
+  }
+
+  /**
+   * Поиск по готовому ключу (см. makeKey)
+   */
+  get(key) {
+    if (!Object.hasOwn(this.index, key)) return null;
+    return { key, ...this.index[key] };
   }
 
   /**
-   * Добавление записи
+   * Добавление записи. Если трек уже есть (повторный поиск, другой кандидат),
+   * новые поля сливаются со старыми: offsetMs и прочее, чего нет в entry, сохраняется
    */
   async add(artist, title, entry) {
     const key = makeKey(artist, title);
+    const existing = Object.hasOwn(this.index, key) ? this.index[key] : null;
+    const now = new Date().toISOString();
+
+    this.index[key] = existing
+      ? { ...existing, artist, title, ...entry, updatedAt: now }
+      : { artist, title, ...entry, addedAt: now };
+    await this.save();
+    logger.info(`Library: ${existing ? 'updated' : 'added'} "${artist} - ${title}"`);
+  }
+
+  /**
+   * Частичное обновление записи по ключу (offsetMs и т.п.)
+   * Возвращает обновлённую запись или null
+   */
+  async update(key, patch) {
+    if (!Object.hasOwn(this.index, key)) return null;
+
     this.index[key] = {
-      artist,
-      title,
-      ...entry,
-      addedAt: new Date().toISOString()
+      ...this.index[key],
+      ...patch,
+      updatedAt: new Date().toISOString()
     };
     await this.save();
-    logger.info(`Library: added "${artist} - ${title}"`);
+    return this.get(key);
   }
 
   /**
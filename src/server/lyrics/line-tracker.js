@@ -0,0 +1,49 @@
+/**
+ * Line Tracker - какая строка лирики активна на сервере
+ *
+ * Клиенты считают активную строку сами, а серверу она нужна
+ * для внешних получателей (OSC для света и VJ-софта)
+ */
+
+const { EventEmitter } = require('events');
+
+class LineTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.lyrics = null;
+    this.activeIndex = -1;
+  }
+
+  setLyrics(lyrics) {
+    this.lyrics = lyrics?.lines?.length ? lyrics : null;
+    this.activeIndex = -1;
+  }
+
+  /**
+   * Новая позиция: при смене активной строки - событие 'line'
+   * { index, line, next } (index = -1 - до первой строки)
+   */
+  update(time) {
+    if (!this.lyrics) return;
+
+    const lines = this.lyrics.lines;
+    let index = -1;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (time >= lines[i].time) {
+        index = i;
+        break;
+      }
+    }
+
+    if (index === this.activeIndex) return;
+    this.activeIndex = index;
+
+    this.emit('line', {
+      index,
+      line: lines[index] || null,
+      next: lines[index + 1] || null
+    });
+  }
+}
+
+module.exports = LineTracker;
@@ -15,6 +15,7 @@ const path = require("path");
 const dns = require("dns");
 
 const logger = require("../../util/logger");
+const { Counter, trackRequest } = require("../../metrics");
 const { makeSafeFilename, cleanForSearch } = require("../../util/normalize");
 
 const MB_BASE = "https://musicbrainz.org/ws/2";
@@ -52,6 +53,12 @@ function tokenizeForField(s) {
   return parts.slice(0, 6); // keep it sane
 }
 
+const coverLookups = new Counter({
+  name: "karaoke_cover_lookups_total",
+  help: "Cover lookups by result (cache, downloaded, not_found)",
+  labelNames: ["result"],
+});
+
 class CoverProvider {
   constructor(config) {
     this.coversDir = config.paths?.covers || "./data/covers";
@@ -73,13 +80,28 @@ class CoverProvider {
     await fs.promises.mkdir(this.coversDir, { recursive: true });
   }
 
+  // Waits for in-flight downloads (before shutdown)
+  async drain() {
+    const pending = [...this._inFlight.values()];
+    if (pending.length) {
+      logger.info(`Waiting for ${pending.length} cover download(s)...`);
+    }
+    await Promise.allSettled(pending);
+  }
+
   async _fetchWithTimeout(url, options = {}) {
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), this.timeout);
+    const done = trackRequest(
+      String(url).includes("musicbrainz.org") ? "musicbrainz" : "coverartarchive"
+    );
 
     try {
-      return await fetch(url, { ...options, signal: controller.signal });
+      const res = await fetch(url, { ...options, signal: controller.signal });
+      done(res.status);
+      return res;
     } catch (err) {
+      done(err.name === "AbortError" ? "timeout" : "error");
       const cause = err?.cause;
       const causeMsg =
         cause?.code || cause?.message || (cause ? String(cause) : "no-cause");
@@ -180,19 +202,27 @@ class CoverProvider {
     const filePath = path.join(this.coversDir, filename);
     const publicUrl = `/covers/${filename}`;
 
-    if (await this._fileExists(filePath)) return publicUrl;
+    if (await this._fileExists(filePath)) {
+      coverLookups.inc({ result: "cache" });
+      return publicUrl;
+    }
     if (this._inFlight.has(filename)) return await this._inFlight.get(filename);
 
     const task = (async () => {
       try {
         const releaseMbid = await this._findReleaseMbid(artist, title, durationMs);
-        if (!releaseMbid) return null;
+        if (!releaseMbid) {
+          coverLookups.inc({ result: "not_found" });
+          return null;
+        }
 
         const imageUrl = this._caaFrontUrl(releaseMbid);
         const ok = await this._downloadImageAtomic(imageUrl, filePath);
+        coverLookups.inc({ result: ok ? "downloaded" : "not_found" });
         return ok ? publicUrl : null;
       } catch (e) {
         logger.warn(`Cover error: ${e.message}`);
+        coverLookups.inc({ result: "error" });
         return null;
       }
     })();
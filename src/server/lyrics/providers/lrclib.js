@@ -5,6 +5,11 @@
 
 const logger = require('../../util/logger');
 const { cleanForSearch } = require('../../util/normalize');
+const { rankCandidates } = require('../ranking');
+const { trackRequest } = require('../../metrics');
+
+// Сколько кандидатов хранить в библиотеке
+const MAX_CANDIDATES = 10;
 
 class LrclibProvider {
   constructor(config = {}) {
@@ -13,9 +18,30 @@ class LrclibProvider {
     this.name = 'lrclib';
   }
 
-  async search(artist, title) {
+  /**
+   * fetch с замером для /metrics
+   */
+  async _fetch(url, options) {
+    const done = trackRequest(this.name);
+    try {
+      const res = await fetch(url, options);
+      done(res.status);
+      return res;
+    } catch (err) {
+      done(err.name === 'AbortError' ? 'timeout' : 'error');
+      throw err;
+    }
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.duration] - длительность трека (сек) для ранжирования
+   */
+  async search(artist, title, options = {}) {
+    const { duration = null } = options;
+
     // Сначала ищем "как есть"
-    let result = await this._doSearch(artist, title);
+    let result = await this._doSearch(artist, title, duration);
     if (result) return result;
 
     // Fallback: очищаем от мусора и пробуем снова
@@ -24,14 +50,14 @@ class LrclibProvider {
     
     if (cleanArtist !== artist || cleanTitle !== title) {
       logger.debug(`LRCLIB fallback search: "${cleanArtist} - ${cleanTitle}"`);
-      result = await this._doSearch(cleanArtist, cleanTitle);
+      result = await this._doSearch(cleanArtist, cleanTitle, duration);
       if (result) return result;
     }
 
     return null;
   }
 
-  async _doSearch(artist, title) {
+  async _doSearch(artist, title, duration = null) {
     const url = new URL(`${this.baseUrl}/search`);
     url.searchParams.set('artist_name', artist);
     url.searchParams.set('track_name', title);
@@ -40,7 +66,7 @@ class LrclibProvider {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-      const res = await fetch(url.toString(), {
+      const res = await this._fetch(url.toString(), {
         signal: controller.signal,
         headers: { 'User-Agent': 'RekordKaraoke/1.0' }
       });
@@ -56,19 +82,18 @@ class LrclibProvider {
         return null;
       }
 
-      const synced = data.find(item => item.syncedLyrics);
-      if (synced) {
+      // Все синхронизированные результаты - кандидаты, лучший по оценке - результат
+      const synced = data.filter(item => item.syncedLyrics);
+      if (synced.length > 0) {
+        const ranked = rankCandidates(
+          synced.map(item => ({ item, ...this._meta(item) })),
+          { artist, title, duration }
+        ).slice(0, MAX_CANDIDATES);
+
+        const best = ranked[0].item;
         return {
-          content: synced.syncedLyrics,
-          format: 'lrc',
-          provider: this.name,
-          meta: {
-            id: synced.id,
-            artist: synced.artistName,
-            title: synced.trackName,
-            album: synced.albumName,
-            duration: synced.duration
-          }
+          ...this._toResult(best),
+          candidates: ranked.map(({ item, ...candidate }) => ({ ...candidate, provider: this.name }))
         };
       }
 
@@ -100,7 +125,7 @@ class LrclibProvider {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-      const res = await fetch(url.toString(), {
+      const res = await this._fetch(url.toString(), {
         signal: controller.signal,
         headers: { 'User-Agent': 'RekordKaraoke/1.0' }
       });
@@ -115,18 +140,7 @@ class LrclibProvider {
       const data = await res.json();
       if (!data.syncedLyrics) return null;
 
-      return {
-        content: data.syncedLyrics,
-        format: 'lrc',
-        provider: this.name,
-        meta: {
-          id: data.id,
-          artist: data.artistName,
-          title: data.trackName,
-          album: data.albumName,
-          duration: data.duration
-        }
-      };
+      return this._toResult(data);
     } catch (err) {
       if (err.name === 'AbortError') {
         logger.warn(`LRCLIB timeout for "${artist} - ${title}"`);
@@ -136,6 +150,60 @@ class LrclibProvider {
       return null;
     }
   }
+
+  /**
+   * Запись LRCLIB по id (для выбора другого кандидата)
+   */
+  async getById(id) {
+    const url = `${this.baseUrl}/get/${encodeURIComponent(id)}`;
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      const res = await this._fetch(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': 'RekordKaraoke/1.0' }
+      });
+      clearTimeout(timeoutId);
+
+      if (!res.ok) {
+        if (res.status !== 404) logger.warn(`LRCLIB get by id failed: ${res.status}`);
+        return null;
+      }
+
+      const data = await res.json();
+      if (!data.syncedLyrics) return null;
+
+      return this._toResult(data);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        logger.warn(`LRCLIB timeout for id ${id}`);
+      } else {
+        logger.error(`LRCLIB error: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  _meta(item) {
+    return {
+      id: item.id,
+      artist: item.artistName,
+      title: item.trackName,
+      album: item.albumName,
+      duration: item.duration
+    };
+  }
+
+  _toResult(item) {
+    return {
+      content: item.syncedLyrics,
+      format: 'lrc',
+      provider: this.name,
+      meta: this._meta(item)
+    };
+  }
 }
 
 module.exports = LrclibProvider;
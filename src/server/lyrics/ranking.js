@@ -0,0 +1,95 @@
+/**
+ * Ранжирование кандидатов лирики
+ *
+ * Оценка 0..1 из похожести artist/title и совпадения длительности
+ * (если длительность трека известна)
+ */
+
+const { normalize } = require('../util/normalize');
+
+const WEIGHTS = {
+  title: 0.4,
+  artist: 0.3,
+  duration: 0.3
+};
+
+// Расхождение длительности, при котором оценка падает до нуля (сек)
+const DURATION_TOLERANCE = 15;
+
+// Пометки другой версии трека: normalize() выкидывает скобки,
+// поэтому "Title (Live)" иначе совпал бы с "Title" полностью
+const VERSION_MARKERS = /\b(live|remix|cover|acoustic|karaoke|instrumental|edit|version|mix|remaster(ed)?|concert)\b|концерт|кавер|ремикс/i;
+const VERSION_PENALTY = 0.15;
+
+function bigrams(str) {
+  const s = ` ${str} `;
+  const result = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const bg = s.slice(i, i + 2);
+    result.set(bg, (result.get(bg) || 0) + 1);
+  }
+  return result;
+}
+
+/**
+ * Коэффициент Дайса по биграммам (0..1), устойчив к опечаткам и порядку слов
+ */
+function similarity(a, b) {
+  const na = normalize(a);
+  const nb = normalize(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ba = bigrams(na);
+  const bb = bigrams(nb);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [bg, count] of ba) {
+    overlap += Math.min(count, bb.get(bg) || 0);
+    total += count;
+  }
+  for (const count of bb.values()) total += count;
+
+  return (2 * overlap) / total;
+}
+
+function durationScore(candidateDuration, trackDuration) {
+  const diff = Math.abs(candidateDuration - trackDuration);
+  return Math.max(0, 1 - diff / DURATION_TOLERANCE);
+}
+
+/**
+ * @param {{ artist, title, duration? }} candidate
+ * @param {{ artist, title, duration? }} query
+ */
+function scoreCandidate(candidate, query) {
+  let score = WEIGHTS.title * similarity(candidate.title, query.title) +
+    WEIGHTS.artist * similarity(candidate.artist, query.artist);
+  let weight = WEIGHTS.title + WEIGHTS.artist;
+
+  if (query.duration && candidate.duration) {
+    score += WEIGHTS.duration * durationScore(candidate.duration, query.duration);
+    weight += WEIGHTS.duration;
+  }
+
+  score /= weight;
+
+  // Пометка версии есть у кандидата, но не в запросе - скорее всего другая запись
+  if (VERSION_MARKERS.test(candidate.title || '') && !VERSION_MARKERS.test(query.title || '')) {
+    score = Math.max(0, score - VERSION_PENALTY);
+  }
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Возвращает новый массив кандидатов с полем score, лучшие - первыми
+ */
+function rankCandidates(candidates, query) {
+  return candidates
+    .map(candidate => ({ ...candidate, score: scoreCandidate(candidate, query) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { rankCandidates, scoreCandidate, similarity };
@@ -2,19 +2,70 @@ const fs = require('fs');
 const path = require('path');
 const LrclibProvider = require('./providers/lrclib');
 const Store = require('./store');
-const { getLibrary } = require('./library');
+const { Library, getLibrary } = require('./library');
+const { cleanupTmpFiles } = require('../util/fs_atomic');
 const { makeSafeFilename, makeKey } = require('../util/normalize');
 const parsers = require('../parsers');
 const logger = require('../util/logger');
+const { Counter } = require('../metrics');
+
+const resolveResults = new Counter({
+  name: 'karaoke_resolver_results_total',
+  help: 'Lyrics lookups by where they were answered (library, local, provider, not_found)',
+  labelNames: ['result']
+});
+const providerLookups = new Counter({
+  name: 'karaoke_resolver_provider_lookups_total',
+  help: 'Searches sent to lyrics providers',
+  labelNames: ['provider']
+});
+
+function abortError() {
+  const err = new Error('Resolve aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+/**
+ * Промис, который отклоняется при отмене signal (исходный не прерывается)
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    if (signal.aborted) return onAbort();
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+function createProviders(providersConfig = {}) {
+  const providers = [];
+  if (providersConfig.lrclib?.enabled) {
+    providers.push(new LrclibProvider(providersConfig.lrclib));
+  }
+  return providers;
+}
+
+function createStore(paths) {
+  return new Store({
+    lyricsRaw: paths.lyricsRaw,
+    lyricsJson: paths.lyricsJson
+  });
+}
 
 class Resolver {
   constructor(config) {
     this.config = config;
-    this.providers = [];
-    this.store = new Store({
-      lyricsRaw: config.paths.lyricsRaw,
-      lyricsJson: config.paths.lyricsJson
-    });
+    this.store = createStore(config.paths);
     this.library = null;
     this.rawDir = config.paths.lyricsRaw;
     
@@ -22,59 +73,136 @@ class Resolver {
     this.pendingRequests = new Map();
 
     // Инициализируем провайдеры
-    if (config.providers.lrclib?.enabled) {
-      this.providers.push(new LrclibProvider(config.providers.lrclib));
-    }
+    this.providers = createProviders(config.providers);
   }
 
   async init() {
     await this.store.init();
     this.library = await getLibrary(this.config.paths.library);
+    await this._cleanupTmpFiles();
+  }
+
+  /**
+   * Применяет новый конфиг без перезапуска: провайдеры создаются заново,
+   * при смене paths store и library открываются по новым путям
+   */
+  async applyConfig(config) {
+    const pathsChanged = JSON.stringify(config.paths) !== JSON.stringify(this.config.paths);
+    this.config = config;
+    this.providers = createProviders(config.providers);
+    logger.info(`Resolver providers: ${this.providers.map(p => p.name).join(', ') || 'none'}`);
+
+    if (pathsChanged) {
+      await this.library.flush();
+
+      this.store = createStore(config.paths);
+      this.rawDir = config.paths.lyricsRaw;
+      await this.store.init();
+
+      this.library = new Library(config.paths.library);
+      await this.library.load();
+      await this._cleanupTmpFiles();
+    }
+  }
+
+  /**
+   * Дожидается запросов в полёте и записи library (перед выходом)
+   */
+  async drain() {
+    const pending = [...this.pendingRequests.values()].map(({ promise }) => promise);
+    if (pending.length) {
+      logger.info(`Waiting for ${pending.length} lyrics request(s)...`);
+    }
+    await Promise.allSettled(pending);
+    await this.library.flush();
+  }
+
+  // Остатки прерванных writeJsonAtomic
+  async _cleanupTmpFiles() {
+    const dirs = new Set([path.dirname(this.config.paths.library), this.store.jsonDir]);
+    for (const dir of dirs) {
+      const removed = await cleanupTmpFiles(dir);
+      if (removed) logger.warn(`Removed ${removed} stale temp file(s) in ${dir}`);
+    }
   }
 
   /**
    * Ищет лирику: сначала локально, потом через провайдеры
    * Возвращает { jsonPath, ... } или null
+   *
+   * @param {object} [options]
+   * @param {function} [options.onProgress] - (stage, detail) на каждом шаге:
+   *   library | pending | local | provider { provider } | found { provider } | not_found
+   * @param {AbortSignal} [options.signal] - отмена: resolve() отклоняется с AbortError,
+   *   а сам поиск доигрывает в фоне и попадает в library
    */
   async resolve(artist, title, options = {}) {
-    const { skipLocal = false, skipProviders = false } = options;
+    const {
+      skipLocal = false,
+      skipProviders = false,
+      duration = null,
+      onProgress = null,
+      signal = null
+    } = options;
     const key = makeKey(artist, title);
 
+    const report = (stage, detail = {}) => {
+      if (onProgress && !signal?.aborted) onProgress(stage, detail);
+    };
+
+    throwIfAborted(signal);
+
     // 1. Проверяем library (быстрый путь)
     if (!skipLocal) {
+      report('library');
       const cached = this.library.find(artist, title);
       if (cached) {
         logger.debug(`Library hit: "${artist} - ${title}"`);
+        resolveResults.inc({ result: 'library' });
+        report('found', { provider: cached.provider });
         return cached;
       }
     }
 
     // 2. Проверяем, не идёт ли уже запрос на этот трек
-    if (this.pendingRequests.has(key)) {
+    let pending = this.pendingRequests.get(key);
+    if (pending) {
       logger.debug(`Waiting for pending request: "${artist} - ${title}"`);
-      return this.pendingRequests.get(key);
-    }
+      report('pending');
+      pending.listeners.add(report);
+    } else {
+      // 3. Создаём новый запрос с mutex; прогресс получают все ожидающие
+      pending = { promise: null, listeners: new Set([report]) };
+      const broadcastProgress = (stage, detail) => {
+        for (const listener of pending.listeners) listener(stage, detail);
+      };
 
-    // 3. Создаём новый запрос с mutex
-    const requestPromise = this._doResolve(artist, title, skipLocal, skipProviders);
-    this.pendingRequests.set(key, requestPromise);
+      this.pendingRequests.set(key, pending);
+      pending.promise = this._doResolve(artist, title, skipLocal, skipProviders, duration, broadcastProgress);
+      pending.promise
+        .finally(() => this.pendingRequests.delete(key))
+        .catch(() => {});
+    }
 
     try {
-      const result = await requestPromise;
+      const result = await abortable(pending.promise, signal);
+      report(result ? 'found' : 'not_found', result ? { provider: result.provider } : {});
       return result;
     } finally {
-      this.pendingRequests.delete(key);
+      pending.listeners.delete(report);
     }
   }
 
   /**
    * Внутренняя логика поиска (без mutex)
    */
-  async _doResolve(artist, title, skipLocal, skipProviders) {
+  async _doResolve(artist, title, skipLocal, skipProviders, duration, progress) {
     // Проверяем локальные файлы в raw директории
     if (!skipLocal) {
+      progress('local');
       const localResult = await this.checkLocalFiles(artist, title);
       if (localResult) {
+        resolveResults.inc({ result: 'local' });
         return localResult;
       }
     }
@@ -83,35 +211,73 @@ class Resolver {
     if (!skipProviders) {
       for (const provider of this.providers) {
         logger.debug(`Trying provider: ${provider.name}`);
-        
-        const result = await provider.search(artist, title);
+        progress('provider', { provider: provider.name });
+        providerLookups.inc({ provider: provider.name });
+
+        const result = await provider.search(artist, title, { duration });
         if (result) {
           logger.info(`Found via ${provider.name}: "${artist} - ${title}"`);
-          
-          // Сохраняем (передаём duration если есть)
-          const stored = await this.store.save(
-            artist, 
-            title, 
-            result.content, 
-            result.format,
-            result.meta?.duration
-          );
-          
-          // Добавляем в library
-          await this.library.add(artist, title, {
-            ...stored,
-            provider: provider.name
-          });
-
-          return this.library.find(artist, title);
+          resolveResults.inc({ result: 'provider' });
+          return this._storeResult(artist, title, result, provider.name, result.candidates);
         }
       }
     }
 
     logger.warn(`Not found: "${artist} - ${title}"`);
+    resolveResults.inc({ result: 'not_found' });
     return null;
   }
 
+  /**
+   * Сохраняет найденную лирику и запись в library
+   * candidates - ранжированный список альтернатив (для выбора оператором)
+   */
+  async _storeResult(artist, title, result, providerName, candidates = null) {
+    // Сохраняем (передаём duration если есть)
+    const stored = await this.store.save(
+      artist, 
+      title, 
+      result.content, 
+      result.format,
+      result.meta?.duration
+    );
+    
+    // Добавляем в library (сдвиг и прежний список кандидатов остаются в записи)
+    await this.library.add(artist, title, {
+      ...stored,
+      provider: providerName,
+      candidateId: candidates ? result.meta?.id ?? null : null,
+      ...(candidates ? { candidates } : {})
+    });
+
+    return this.library.find(artist, title);
+  }
+
+  /**
+   * Переключает трек на другого кандидата из сохранённого списка
+   * Возвращает новую запись library
+   */
+  async selectCandidate(artist, title, candidateId) {
+    const entry = this.library.find(artist, title);
+    if (!entry?.candidates?.length) {
+      throw new Error('No candidates stored for this track');
+    }
+
+    const candidate = entry.candidates.find(c => String(c.id) === String(candidateId));
+    if (!candidate) throw new Error(`Unknown candidate: ${candidateId}`);
+
+    const provider = this.providers.find(p => p.name === candidate.provider);
+    if (!provider?.getById) {
+      throw new Error(`Provider ${candidate.provider} is not available`);
+    }
+
+    const result = await provider.getById(candidate.id);
+    if (!result) throw new Error(`Candidate ${candidateId} has no synced lyrics`);
+
+    logger.info(`Candidate ${candidateId} selected for "${artist} - ${title}"`);
+    return this._storeResult(artist, title, result, provider.name, entry.candidates);
+  }
+
   /**
    * Проверяет наличие локальных файлов в raw директории
    */
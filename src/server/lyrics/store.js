@@ -3,6 +3,12 @@ const path = require('path');
 const { writeJsonAtomic } = require('../util/fs_atomic');
 const { makeSafeFilename } = require('../util/normalize');
 const parsers = require('../parsers');
+const {
+  TRANSLATION_FORMATS,
+  translationPath,
+  findTranslationFile,
+  mergeTranslation
+} = require('./translation');
 const logger = require('../util/logger');
 
 class Store {
@@ -38,6 +44,9 @@ class Store {
     parsed.format = format;
     if (duration) parsed.duration = duration;
 
+    // Перевод, если рядом лежит компаньон
+    await this._applyTranslation(parsed, baseName);
+
     // Сохраняем JSON
     const jsonPath = path.join(this.jsonDir, `${baseName}.json`);
     await writeJsonAtomic(jsonPath, parsed);
@@ -51,9 +60,106 @@ class Store {
     };
   }
 
+  /**
+   * Загружает JSON; если компаньон перевода появился, сменился или удалён -
+   * перевод вливается заново и JSON перезаписывается
+   */
   async load(jsonPath) {
     const content = await fs.promises.readFile(jsonPath, 'utf8');
-    return JSON.parse(content);
+    const lyrics = JSON.parse(content);
+
+    const baseName = path.basename(jsonPath, '.json');
+    if (await this._applyTranslation(lyrics, baseName)) {
+      await writeJsonAtomic(jsonPath, lyrics);
+      logger.debug(`Updated translation in ${jsonPath}`);
+    }
+    return lyrics;
+  }
+
+  /**
+   * Сохраняет перевод трека (LRC/SRT или текст построчно)
+   * и вливает его в уже сохранённый JSON
+   */
+  async saveTranslation(artist, title, rawContent, format) {
+    const baseName = makeSafeFilename(artist, title);
+    const ext = format.startsWith('.') ? format : `.${format}`;
+    if (!TRANSLATION_FORMATS.includes(ext)) {
+      throw new Error(`Unsupported translation format: ${format}`);
+    }
+
+    // Компаньон один: остальные форматы убираем, чтобы не перебивали новый
+    for (const other of TRANSLATION_FORMATS) {
+      if (other !== ext) {
+        await fs.promises.rm(translationPath(this.rawDir, baseName, other), { force: true });
+      }
+    }
+
+    const rawPath = translationPath(this.rawDir, baseName, ext);
+    await fs.promises.writeFile(rawPath, rawContent, 'utf8');
+    logger.debug(`Saved translation: ${rawPath}`);
+
+    const jsonPath = path.join(this.jsonDir, `${baseName}.json`);
+    let linesCount = 0;
+    try {
+      const lyrics = await this.load(jsonPath);
+      linesCount = lyrics.lines.filter(line => line.translation).length;
+    } catch (err) {
+      // Лирики ещё нет - перевод подхватится при её сохранении
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    return { rawPath: path.relative(process.cwd(), rawPath), linesCount };
+  }
+
+  /**
+   * Приводит перевод lyrics в соответствие с компаньоном на диске
+   * Возвращает true, если lyrics изменились
+   */
+  async _applyTranslation(lyrics, baseName) {
+    const file = await findTranslationFile(this.rawDir, baseName);
+    const current = lyrics.translation || null;
+
+    if (!file) {
+      if (!current) return false;
+      for (const line of lyrics.lines) delete line.translation;
+      delete lyrics.translation;
+      return true;
+    }
+
+    const fileName = path.basename(file.path);
+    if (current && current.file === fileName && current.mtimeMs === file.mtimeMs) {
+      return false;
+    }
+
+    try {
+      if (file.format === '.txt') await this._addSourceLines(lyrics, baseName);
+      const content = await fs.promises.readFile(file.path, 'utf8');
+      const matched = mergeTranslation(lyrics, content, file.format);
+      lyrics.translation = { file: fileName, mtimeMs: file.mtimeMs, linesCount: matched };
+      logger.info(`Translation ${fileName}: ${matched}/${lyrics.lines.length} lines`);
+      return true;
+    } catch (err) {
+      logger.warn(`Translation ${fileName} not applied: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * JSON, сохранённый до появления line.sourceLine: номера строк берём,
+   * заново разобрав raw (разбор тот же - порядок строк совпадает)
+   */
+  async _addSourceLines(lyrics, baseName) {
+    if (lyrics.lines.every(line => Number.isInteger(line.sourceLine))) return;
+
+    const ext = lyrics.format.startsWith('.') ? lyrics.format : `.${lyrics.format}`;
+    const rawContent = await fs.promises.readFile(path.join(this.rawDir, `${baseName}${ext}`), 'utf8');
+    const reparsed = parsers.parse(rawContent, ext, { duration: lyrics.duration });
+    if (reparsed.lines.length !== lyrics.lines.length) {
+      throw new Error('raw lyrics no longer match the saved JSON');
+    }
+    lyrics.lines.forEach((line, i) => {
+      line.sourceLine = reparsed.lines[i].sourceLine;
+    });
   }
 }
 
@@ -0,0 +1,59 @@
+/**
+ * Преобразования лирики перед отправкой клиентам
+ * Исходный JSON в store не меняется - работаем с копией
+ */
+
+const { transliterate, hasCyrillic, DEFAULT_SCHEME } = require('./transliterate');
+
+/**
+ * Сдвиг всех строк на offsetMs (как [offset:] в lrc.js: плюс - позже)
+ */
+function applyOffset(lyrics, offsetMs) {
+  if (!lyrics || !offsetMs) return lyrics;
+
+  const offsetSec = offsetMs / 1000;
+  return {
+    ...lyrics,
+    offsetMs,
+    lines: lyrics.lines.map(line => {
+      const shifted = {
+        ...line,
+        time: Math.max(0, line.time + offsetSec),
+        endTime: Math.max(0, line.endTime + offsetSec)
+      };
+      if (line.words) {
+        shifted.words = line.words.map(word => ({
+          ...word,
+          time: Math.max(0, word.time + offsetSec),
+          endTime: Math.max(0, word.endTime + offsetSec)
+        }));
+      }
+      return shifted;
+    })
+  };
+}
+
+/**
+ * Латиница к кириллическим строкам: line.romanized (config - секция transliteration)
+ * У строк с таймингом слов - ещё и word.romanized, чтобы заливка шла по латинице
+ */
+function applyRomanization(lyrics, config = {}) {
+  if (!lyrics || !config.enabled) return lyrics;
+
+  const scheme = config.scheme || DEFAULT_SCHEME;
+  return {
+    ...lyrics,
+    romanization: scheme,
+    lines: lyrics.lines.map(line => {
+      if (!hasCyrillic(line.text)) return line;
+
+      const romanized = { ...line, romanized: transliterate(line.text, scheme) };
+      if (line.words) {
+        romanized.words = line.words.map(word => ({ ...word, romanized: transliterate(word.text, scheme) }));
+      }
+      return romanized;
+    })
+  };
+}
+
+module.exports = { applyOffset, applyRomanization };
@@ -0,0 +1,103 @@
+/**
+ * Перевод лирики: файл-компаньон рядом с raw
+ *
+ *   lyrics_raw/<baseName>.translation.lrc | .srt | .txt
+ *
+ * LRC/SRT сопоставляются по времени (ближайшая строка в пределах допуска),
+ * обычный текст - построчно: n-я непустая строка перевода к n-й строке текста
+ * в исходном файле (line.sourceLine), так что повторы припева получают свой перевод.
+ * Результат - line.translation у строк распарсенного JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const parsers = require('../parsers');
+
+const TRANSLATION_SUFFIX = '.translation';
+const TRANSLATION_FORMATS = ['.lrc', '.srt', '.txt'];
+
+// Насколько может разойтись время строки перевода и оригинала (сек)
+const MATCH_TOLERANCE = 1.0;
+
+function translationPath(rawDir, baseName, format) {
+  return path.join(rawDir, `${baseName}${TRANSLATION_SUFFIX}${format}`);
+}
+
+/**
+ * Ищет компаньон трека: { path, format, mtimeMs } или null
+ */
+async function findTranslationFile(rawDir, baseName) {
+  for (const format of TRANSLATION_FORMATS) {
+    const filePath = translationPath(rawDir, baseName, format);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.isFile()) return { path: filePath, format, mtimeMs: stat.mtimeMs };
+    } catch {
+      // Нет такого - пробуем следующий формат
+    }
+  }
+  return null;
+}
+
+function parseTranslation(content, format) {
+  if (format === '.txt') {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(text => ({ time: null, text }));
+  }
+  return parsers.parse(content, format).lines;
+}
+
+// Ближайшая по времени строка перевода (lines отсортированы по time)
+function findNearest(lines, time) {
+  let best = null;
+  let bestDiff = Infinity;
+  for (const line of lines) {
+    const diff = Math.abs(line.time - time);
+    if (diff < bestDiff) {
+      best = line;
+      bestDiff = diff;
+    } else if (line.time > time) {
+      break;
+    }
+  }
+  return bestDiff <= MATCH_TOLERANCE ? best : null;
+}
+
+/**
+ * Вливает перевод в lyrics (мутирует), прежний перевод убирается
+ * Возвращает число строк, получивших перевод
+ */
+function mergeTranslation(lyrics, content, format) {
+  if (format === '.txt' && lyrics.lines.some(line => !Number.isInteger(line.sourceLine))) {
+    throw new Error('plain-text translation needs source line numbers, re-save the lyrics');
+  }
+
+  for (const line of lyrics.lines) {
+    delete line.translation;
+  }
+
+  const translated = parseTranslation(content, format);
+  let matched = 0;
+
+  lyrics.lines.forEach((line) => {
+    const source = format === '.txt'
+      ? translated[line.sourceLine]
+      : findNearest(translated, line.time);
+    if (source && source.text) {
+      line.translation = source.text;
+      matched++;
+    }
+  });
+
+  return matched;
+}
+
+module.exports = {
+  TRANSLATION_FORMATS,
+  translationPath,
+  findTranslationFile,
+  mergeTranslation
+};
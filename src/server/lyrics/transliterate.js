@@ -0,0 +1,108 @@
+/**
+ * Транслитерация кириллицы в латиницу (офлайн, без зависимостей)
+ *
+ * Схемы:
+ *   iso9      - ISO 9:1995, буква в букву с диакритикой (ж -> ž, щ -> ŝ)
+ *   gost      - ГОСТ 7.79-2000, система Б: только ASCII (ж -> zh, щ -> shh, ц -> c/cz)
+ *   practical - "как читается": без апострофов, е -> ye в начале слова и после гласных
+ *
+ * Регистр сохраняется: "Дети" -> "Deti", "ЖАРА" -> "ZHARA"
+ */
+
+const CYRILLIC_RE = /[Ѐ-ӿ]/;
+
+const COMMON = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'з': 'z',
+  'и': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p',
+  'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f'
+};
+
+const VOWELS = 'аеёиоуыэюяєії';
+
+const SCHEMES = {
+  iso9: {
+    map: {
+      ...COMMON,
+      'ё': 'ë', 'ж': 'ž', 'й': 'j', 'х': 'h', 'ц': 'c', 'ч': 'č', 'ш': 'š',
+      'щ': 'ŝ', 'ъ': 'ʺ', 'ы': 'y', 'ь': 'ʹ', 'э': 'è', 'ю': 'û', 'я': 'â',
+      'є': 'ê', 'і': 'ì', 'ї': 'ï', 'ґ': 'g̀', 'ў': 'ŭ'
+    }
+  },
+  gost: {
+    map: {
+      ...COMMON,
+      'ё': 'yo', 'ж': 'zh', 'й': 'j', 'х': 'x', 'ц': 'cz', 'ч': 'ch', 'ш': 'sh',
+      'щ': 'shh', 'ъ': '``', 'ы': 'y`', 'ь': '`', 'э': 'e`', 'ю': 'yu', 'я': 'ya',
+      'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g`', 'ў': 'u`'
+    },
+    // ц перед e, i, y, j пишется как c
+    context: (ch, prev, next) => (ch === 'ц' && 'еиыйі'.includes(next) ? 'c' : null)
+  },
+  practical: {
+    map: {
+      ...COMMON,
+      'ё': 'yo', 'ж': 'zh', 'й': 'y', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh',
+      'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+      'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'w'
+    },
+    // е читается как "йэ" в начале слова и после гласной или знака: ел -> yel, моё -> moyo
+    context: (ch, prev) => (ch === 'е' && (!prev || VOWELS.includes(prev) || 'ъь'.includes(prev)) ? 'ye' : null)
+  }
+};
+
+const DEFAULT_SCHEME = 'practical';
+
+function isUpper(ch) {
+  return Boolean(ch) && ch !== ch.toLowerCase();
+}
+
+function isLower(ch) {
+  return Boolean(ch) && ch !== ch.toUpperCase();
+}
+
+function hasCyrillic(text) {
+  return CYRILLIC_RE.test(text || '');
+}
+
+/**
+ * Строка -> латиница по схеме; некириллические символы не меняются
+ */
+function transliterate(text, scheme = DEFAULT_SCHEME) {
+  const rules = SCHEMES[scheme];
+  if (!rules) {
+    throw new Error(`Unknown transliteration scheme: ${scheme}`);
+  }
+
+  const chars = Array.from(text);
+  let result = '';
+
+  chars.forEach((ch, i) => {
+    const lower = ch.toLowerCase();
+    if (!(lower in rules.map)) {
+      result += ch;
+      return;
+    }
+
+    // Соседи внутри слова: для контекстных правил
+    const prev = i > 0 ? chars[i - 1].toLowerCase() : '';
+    const next = i < chars.length - 1 ? chars[i + 1].toLowerCase() : '';
+    const prevInWord = CYRILLIC_RE.test(prev) ? prev : '';
+    const nextInWord = CYRILLIC_RE.test(next) ? next : '';
+
+    let latin = (rules.context && rules.context(lower, prevInWord, nextInWord)) ?? rules.map[lower];
+    if (isUpper(ch) && latin) {
+      // Слово капсом (ЖАРА) - целиком, иначе только первая буква (Жара)
+      const allCaps = isUpper(chars[i + 1]) || (isUpper(chars[i - 1]) && !isLower(chars[i + 1]));
+      latin = allCaps ? latin.toUpperCase() : latin[0].toUpperCase() + latin.slice(1);
+    }
+    result += latin;
+  });
+
+  return result;
+}
+
+function getSchemes() {
+  return Object.keys(SCHEMES);
+}
+
+module.exports = { transliterate, hasCyrillic, getSchemes, DEFAULT_SCHEME };
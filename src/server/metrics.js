@@ -0,0 +1,222 @@
+/**
+ * Метрики в текстовом формате Prometheus (GET /metrics)
+ *
+ * Модули объявляют свои метрики при загрузке:
+ *   const requests = new Counter({ name: 'karaoke_x_total', help: '...', labelNames: ['provider'] });
+ *   requests.inc({ provider: 'lrclib' });
+ *
+ * Значения, которые дешевле посчитать в момент запроса (размер library,
+ * число клиентов), задаются через collect: () => [{ labels, value }]
+ */
+
+const { sendJson } = require('./util/http');
+
+const metrics = new Map();
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    if (metrics.has(name)) {
+      throw new Error(`Metric already registered: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collectFn = collect;
+    this.series = new Map(); // ключ меток -> { labels, value }
+    metrics.set(name, this);
+  }
+
+  _labels(labels = {}) {
+    const picked = {};
+    for (const label of this.labelNames) {
+      picked[label] = labels[label] ?? '';
+    }
+    return picked;
+  }
+
+  _series(labels, init) {
+    const picked = this._labels(labels);
+    const key = JSON.stringify(picked);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: picked, ...init() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  _samples() {
+    if (this.collectFn) {
+      return this.collectFn().map(({ labels = {}, value }) => ({ labels: this._labels(labels), value }));
+    }
+    return [...this.series.values()];
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this._samples()) {
+      if (value === null || value === undefined || Number.isNaN(value)) continue;
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this._series(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Замер длительности: const end = h.startTimer({ provider }); ... end()
+   * end(extraLabels) дополняет метки (например, результатом запроса)
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Запросы к внешним сервисам (LRCLIB, MusicBrainz, Cover Art Archive)
+const providerDuration = new Histogram({
+  name: 'karaoke_provider_request_duration_seconds',
+  help: 'HTTP request latency to lyrics and cover providers',
+  labelNames: ['provider']
+});
+const providerRequests = new Counter({
+  name: 'karaoke_provider_requests_total',
+  help: 'HTTP requests to lyrics and cover providers by response status',
+  labelNames: ['provider', 'status']
+});
+
+/**
+ * Замер запроса к провайдеру: const done = trackRequest('lrclib'); ... done(res.status)
+ * status - HTTP-код, 'timeout' или 'error'
+ */
+function trackRequest(provider) {
+  const end = providerDuration.startTimer({ provider });
+  return (status) => {
+    end();
+    providerRequests.inc({ provider, status: String(status) });
+  };
+}
+
+// Процесс сервера
+new Gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => [{ value: process.memoryUsage().rss }]
+});
+new Gauge({
+  name: 'process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  collect: () => [{ value: Math.round(process.uptime()) }]
+});
+
+function render() {
+  return [...metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+}
+
+/**
+ * GET /metrics; false - запрос не сюда
+ * @param {URL} url - разобранный req.url
+ */
+function handleMetrics(req, res, url) {
+  if (url.pathname !== '/metrics') return false;
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return true;
+  }
+
+  const body = render();
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+  return true;
+}
+
+module.exports = { Counter, Gauge, Histogram, trackRequest, render, handleMetrics };
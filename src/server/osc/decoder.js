@@ -0,0 +1,256 @@
+/**
+ * OSC 1.0 декодер (без зависимостей)
+ *
+ * Поддерживает сообщения и бандлы (в т.ч. вложенные), timetag'и
+ * и типы аргументов: i f s S b h t d c r m T F N I, массивы [ ]
+ *
+ * Битые пакеты не пропускаются молча, а бросают Error с описанием
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+// Секунды между эпохой NTP (1900) и Unix (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+function malformed(reason, offset) {
+  return new Error(`Malformed OSC packet: ${reason} at byte ${offset}`);
+}
+
+function ensure(buffer, offset, size, what) {
+  if (offset + size > buffer.length) {
+    throw malformed(`truncated ${what}`, offset);
+  }
+}
+
+function pad4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * OSC-строка: null-terminated, выровнена по 4 байта
+ * Возвращает { value, offset }
+ */
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) throw malformed('unterminated string', offset);
+
+  const value = buffer.toString('utf8', offset, end);
+  const next = pad4(end + 1);
+  if (next > buffer.length) throw malformed('string padding', end);
+
+  return { value, offset: next };
+}
+
+function readBlob(buffer, offset) {
+  ensure(buffer, offset, 4, 'blob size');
+  const size = buffer.readInt32BE(offset);
+  if (size < 0) throw malformed('negative blob size', offset);
+
+  offset += 4;
+  ensure(buffer, offset, pad4(size), 'blob');
+  const value = Buffer.from(buffer.subarray(offset, offset + size));
+
+  return { value, offset: offset + pad4(size) };
+}
+
+/**
+ * Timetag: 32 бита секунд с 1900 + 32 бита дробной части
+ * Значение 1 (0x00000000 00000001) означает "немедленно"
+ */
+function readTimetag(buffer, offset) {
+  ensure(buffer, offset, 8, 'timetag');
+  const seconds = buffer.readUInt32BE(offset);
+  const fraction = buffer.readUInt32BE(offset + 4);
+
+  return { value: makeTimetag(seconds, fraction), offset: offset + 8 };
+}
+
+function makeTimetag(seconds, fraction) {
+  const immediate = seconds === 0 && fraction === 1;
+  return {
+    seconds,
+    fraction,
+    immediate,
+    // Unix-время в мс (для "немедленно" - null)
+    time: immediate ? null : (seconds - NTP_EPOCH_OFFSET) * 1000 + (fraction / 0x100000000) * 1000
+  };
+}
+
+/**
+ * Читает аргументы по type tag строке
+ * Возвращает { args, offset }
+ */
+function readArguments(buffer, offset, typeTags) {
+  const root = [];
+  const stack = [root];
+
+  for (let i = 0; i < typeTags.length; i++) {
+    const tag = typeTags[i];
+    const target = stack[stack.length - 1];
+
+    switch (tag) {
+      case 'i': // int32
+        ensure(buffer, offset, 4, 'int32');
+        target.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case 'f': // float32
+        ensure(buffer, offset, 4, 'float32');
+        target.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case 's': // string
+      case 'S': { // symbol
+        const str = readString(buffer, offset);
+        target.push(str.value);
+        offset = str.offset;
+        break;
+      }
+      case 'b': { // blob
+        const blob = readBlob(buffer, offset);
+        target.push(blob.value);
+        offset = blob.offset;
+        break;
+      }
+      case 'h': // int64
+        ensure(buffer, offset, 8, 'int64');
+        target.push(buffer.readBigInt64BE(offset));
+        offset += 8;
+        break;
+      case 'd': // float64
+        ensure(buffer, offset, 8, 'float64');
+        target.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case 't': { // timetag
+        const tt = readTimetag(buffer, offset);
+        target.push(tt.value);
+        offset = tt.offset;
+        break;
+      }
+      case 'c': // ASCII-символ в 32 битах
+        ensure(buffer, offset, 4, 'char');
+        target.push(String.fromCharCode(buffer.readUInt32BE(offset)));
+        offset += 4;
+        break;
+      case 'r': // RGBA
+        ensure(buffer, offset, 4, 'rgba');
+        target.push({
+          r: buffer[offset],
+          g: buffer[offset + 1],
+          b: buffer[offset + 2],
+          a: buffer[offset + 3]
+        });
+        offset += 4;
+        break;
+      case 'm': // MIDI: port id, status, data1, data2
+        ensure(buffer, offset, 4, 'midi');
+        target.push(Buffer.from(buffer.subarray(offset, offset + 4)));
+        offset += 4;
+        break;
+      case 'T':
+        target.push(true);
+        break;
+      case 'F':
+        target.push(false);
+        break;
+      case 'N':
+        target.push(null);
+        break;
+      case 'I':
+        target.push(Infinity);
+        break;
+      case '[': {
+        const arr = [];
+        target.push(arr);
+        stack.push(arr);
+        break;
+      }
+      case ']':
+        if (stack.length === 1) throw malformed('unbalanced "]" in type tags', offset);
+        stack.pop();
+        break;
+      default:
+        // Размер неизвестного типа не знаем - дальше всё поедет, лучше отбросить пакет
+        throw malformed(`unknown type tag "${tag}"`, offset);
+    }
+  }
+
+  if (stack.length !== 1) throw malformed('unbalanced "[" in type tags', offset);
+
+  return { args: root, offset };
+}
+
+function decodeMessage(buffer) {
+  const addr = readString(buffer, 0);
+  const address = addr.value;
+  if (!address.startsWith('/')) throw malformed(`bad address "${address}"`, 0);
+
+  // Старые отправители могут не слать type tag string - сообщение без аргументов
+  if (addr.offset >= buffer.length) {
+    return { address, types: '', args: [] };
+  }
+
+  if (buffer[addr.offset] !== 0x2C) throw malformed('missing type tag string', addr.offset); // ','
+
+  const tags = readString(buffer, addr.offset);
+  const types = tags.value.slice(1);
+  const { args } = readArguments(buffer, tags.offset, types);
+
+  return { address, types, args };
+}
+
+function decodeBundle(buffer) {
+  let offset = pad4(BUNDLE_TAG.length + 1);
+  const tt = readTimetag(buffer, offset);
+  offset = tt.offset;
+
+  const elements = [];
+  while (offset < buffer.length) {
+    ensure(buffer, offset, 4, 'bundle element size');
+    const size = buffer.readInt32BE(offset);
+    offset += 4;
+
+    if (size <= 0 || size % 4 !== 0) throw malformed(`bad bundle element size ${size}`, offset - 4);
+    ensure(buffer, offset, size, 'bundle element');
+
+    elements.push(decodePacket(buffer.subarray(offset, offset + size)));
+    offset += size;
+  }
+
+  return { bundle: true, timetag: tt.value, elements };
+}
+
+function isBundle(buffer) {
+  return buffer.length >= 8 && buffer.toString('ascii', 0, 8) === `${BUNDLE_TAG}\0`;
+}
+
+/**
+ * Декодирует OSC-пакет
+ * Сообщение: { address, types, args }
+ * Бандл: { bundle: true, timetag, elements: [пакеты] }
+ */
+function decodePacket(buffer) {
+  if (buffer.length === 0 || buffer.length % 4 !== 0) {
+    throw malformed(`size ${buffer.length} is not a multiple of 4`, 0);
+  }
+  return isBundle(buffer) ? decodeBundle(buffer) : decodeMessage(buffer);
+}
+
+/**
+ * Разворачивает пакет в плоский список сообщений
+ * Каждое сообщение получает timetag ближайшего бандла (или null)
+ */
+function flattenPacket(packet, timetag = null) {
+  if (!packet.bundle) {
+    return [{ ...packet, timetag }];
+  }
+
+  const messages = [];
+  for (const element of packet.elements) {
+    messages.push(...flattenPacket(element, packet.timetag));
+  }
+  return messages;
+}
+
+module.exports = { decodePacket, flattenPacket, makeTimetag, NTP_EPOCH_OFFSET };
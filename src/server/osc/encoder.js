@@ -0,0 +1,94 @@
+/**
+ * OSC 1.0 энкодер (без зависимостей)
+ *
+ * Типы аргументов выводятся из JS-значений:
+ * string -> s, целое -> i, дробное -> f, boolean -> T/F, null -> N,
+ * Buffer -> b, bigint -> h
+ * Явный тип: { type: 'f', value: 1 }
+ */
+
+function encodeString(str) {
+  const buf = Buffer.from(str + '\0', 'utf8');
+  const padding = (4 - (buf.length % 4)) % 4;
+  return Buffer.concat([buf, Buffer.alloc(padding)]);
+}
+
+function encodeBlob(data) {
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(data.length, 0);
+  const padding = (4 - (data.length % 4)) % 4;
+  return Buffer.concat([size, data, Buffer.alloc(padding)]);
+}
+
+function inferType(value) {
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && value.type) {
+    return value;
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return { type: 's', value };
+    case 'number':
+      return { type: Number.isInteger(value) ? 'i' : 'f', value };
+    case 'boolean':
+      return { type: value ? 'T' : 'F', value };
+    case 'bigint':
+      return { type: 'h', value };
+    default:
+      if (value === null || value === undefined) return { type: 'N', value: null };
+      if (Buffer.isBuffer(value)) return { type: 'b', value };
+      throw new Error(`Cannot encode OSC argument of type ${typeof value}`);
+  }
+}
+
+function encodeArgument({ type, value }) {
+  let buf;
+  switch (type) {
+    case 's':
+    case 'S':
+      return encodeString(String(value));
+    case 'i':
+      buf = Buffer.alloc(4);
+      buf.writeInt32BE(value, 0);
+      return buf;
+    case 'f':
+      buf = Buffer.alloc(4);
+      buf.writeFloatBE(value, 0);
+      return buf;
+    case 'd':
+      buf = Buffer.alloc(8);
+      buf.writeDoubleBE(value, 0);
+      return buf;
+    case 'h':
+      buf = Buffer.alloc(8);
+      buf.writeBigInt64BE(BigInt(value), 0);
+      return buf;
+    case 'b':
+      return encodeBlob(value);
+    case 'T':
+    case 'F':
+    case 'N':
+    case 'I':
+      return Buffer.alloc(0);
+    default:
+      throw new Error(`Unsupported OSC type tag "${type}"`);
+  }
+}
+
+/**
+ * Кодирует OSC-сообщение
+ * @param {string} address
+ * @param {Array} args
+ */
+function encodeMessage(address, args = []) {
+  const typed = args.map(inferType);
+  const typeTags = ',' + typed.map(a => a.type).join('');
+
+  return Buffer.concat([
+    encodeString(address),
+    encodeString(typeTags),
+    ...typed.map(encodeArgument)
+  ]);
+}
+
+module.exports = { encodeMessage };
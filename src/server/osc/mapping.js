@@ -0,0 +1,128 @@
+/**
+ * Таблица соответствия OSC-адресов полям LinkBridge
+ *
+ * Запись: { address, field, arg?, scale?, deck? }
+ *   address - шаблон адреса:
+ *     :deck      - номер дека из сегмента адреса ('master' или число)
+ *     *          - любые символы внутри сегмента
+ *     ?          - один символ
+ *     {a,b}      - один из вариантов
+ *     [abc] [!a] - символ из набора / не из набора
+ *   field - title | artist | time | bpm | beat | duration
+ *   arg   - индекс аргумента (по умолчанию 0)
+ *   scale - множитель для чисел (например 0.001 для мс -> сек)
+ *   deck  - фиксированный дек, если в адресе его нет (по умолчанию master)
+ */
+
+const FIELDS = ['title', 'artist', 'time', 'bpm', 'beat', 'duration'];
+
+// Адреса rkbx_link
+const DEFAULT_MAPPING = [
+  { address: '/track/:deck/title', field: 'title' },
+  { address: '/track/:deck/artist', field: 'artist' },
+  { address: '/time/:deck', field: 'time' },
+  { address: '/bpm/:deck/current', field: 'bpm' },
+  { address: '/beat/:deck', field: 'beat' }
+];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Шаблон адреса -> RegExp
+ */
+function compilePattern(pattern) {
+  let source = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const ch = pattern[i];
+
+    if (ch === ':') {
+      const name = pattern.slice(i + 1).match(/^\w+/);
+      if (!name) throw new Error(`OSC mapping: empty capture name in "${pattern}"`);
+      source += `(?<${name[0]}>[^/]+)`;
+      i += name[0].length + 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+      i++;
+    } else if (ch === '?') {
+      source += '[^/]';
+      i++;
+    } else if (ch === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) throw new Error(`OSC mapping: unclosed "{" in "${pattern}"`);
+      const options = pattern.slice(i + 1, end).split(',').map(escapeRegex);
+      source += `(?:${options.join('|')})`;
+      i = end + 1;
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) throw new Error(`OSC mapping: unclosed "[" in "${pattern}"`);
+      let set = pattern.slice(i + 1, end);
+      const negate = set.startsWith('!');
+      if (negate) set = set.slice(1);
+      source += `[${negate ? '^' : ''}${set.replace(/[\]\\^]/g, '\\$&')}]`;
+      i = end + 1;
+    } else {
+      source += escapeRegex(ch);
+      i++;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 'master' остаётся строкой, числовые деки - числами
+ */
+function normalizeDeck(deck) {
+  if (deck === undefined || deck === null || deck === 'master') return 'master';
+  return /^\d+$/.test(String(deck)) ? parseInt(deck, 10) : String(deck);
+}
+
+function compileMapping(entries = DEFAULT_MAPPING) {
+  return entries.map((entry) => {
+    if (!entry.address) throw new Error('OSC mapping: "address" is required');
+    if (!FIELDS.includes(entry.field)) {
+      throw new Error(`OSC mapping: unknown field "${entry.field}" for ${entry.address}`);
+    }
+
+    return {
+      address: entry.address,
+      regex: compilePattern(entry.address),
+      field: entry.field,
+      arg: entry.arg || 0,
+      scale: typeof entry.scale === 'number' ? entry.scale : 1,
+      deck: entry.deck
+    };
+  });
+}
+
+/**
+ * Все записи, подходящие под адрес (одно сообщение может нести несколько полей)
+ * Возвращает [{ field, deck, value }]
+ */
+function matchMessage(compiled, { address, args }) {
+  const result = [];
+
+  for (const entry of compiled) {
+    const match = address.match(entry.regex);
+    if (!match) continue;
+
+    let value = args[entry.arg];
+    if (value === undefined) continue;
+    if (typeof value === 'bigint') value = Number(value);
+    if (typeof value === 'number') value *= entry.scale;
+
+    result.push({
+      field: entry.field,
+      deck: normalizeDeck(match.groups?.deck ?? entry.deck),
+      value
+    });
+  }
+
+  return result;
+}
+
+module.exports = { compileMapping, matchMessage, normalizeDeck, DEFAULT_MAPPING };
@@ -0,0 +1,114 @@
+/**
+ * Запись и чтение OSC-сессий
+ *
+ * Формат - JSON Lines:
+ *   1-я строка: { version, startedAt, source }
+ *   далее:      { t, from, data } - t: мс от начала записи, data: пакет в base64
+ *
+ * Пакеты пишутся как есть (до декодирования), включая битые -
+ * повтор через эмулятор воспроизводит сессию байт в байт
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../util/logger');
+
+const FORMAT_VERSION = 1;
+
+class OscRecorder {
+  constructor(config = {}) {
+    this.dir = config.dir || './data/sessions';
+    this.stream = null;
+    this.filePath = null;
+    this.startedAt = 0;
+    this.count = 0;
+    // Открытие файла в процессе: stop() его дожидается
+    this.starting = null;
+  }
+
+  start(source = '') {
+    this.starting = this._open(source);
+    return this.starting;
+  }
+
+  async _open(source) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const name = `osc_${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    this.filePath = path.join(this.dir, name);
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      logger.error(`OSC recorder error: ${err.message}`);
+    });
+
+    this.startedAt = Date.now();
+    this.count = 0;
+    this.stream.write(JSON.stringify({
+      version: FORMAT_VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      source
+    }) + '\n');
+
+    logger.info(`Recording OSC session to ${this.filePath}`);
+  }
+
+  write(packet, rinfo = null) {
+    if (!this.stream) return;
+
+    this.count++;
+    this.stream.write(JSON.stringify({
+      t: Date.now() - this.startedAt,
+      from: rinfo ? `${rinfo.address}:${rinfo.port}` : null,
+      data: packet.toString('base64')
+    }) + '\n');
+  }
+
+  /**
+   * Остановка посреди start() закрывает файл, когда он откроется,
+   * иначе поток записи остался бы незакрытым
+   */
+  stop() {
+    const starting = this.starting;
+    this.starting = null;
+    if (starting) return starting.catch(() => {}).then(() => this._close());
+    return this._close();
+  }
+
+  _close() {
+    if (!this.stream) return Promise.resolve();
+
+    const stream = this.stream;
+    this.stream = null;
+    logger.info(`OSC session saved: ${this.filePath} (${this.count} packets)`);
+    return new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+/**
+ * Читает запись: { header, packets: [{ t, from, data: Buffer }] }
+ */
+async function readRecording(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const lines = content.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length === 0) throw new Error(`Empty recording: ${filePath}`);
+
+  const header = JSON.parse(lines[0]);
+  if (header.version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported recording version: ${header.version}`);
+  }
+
+  const packets = [];
+  for (let i = 1; i < lines.length; i++) {
+    try {
+      const { t, from, data } = JSON.parse(lines[i]);
+      packets.push({ t, from, data: Buffer.from(data, 'base64') });
+    } catch (err) {
+      // Запись могла оборваться посреди строки (падение процесса)
+      logger.warn(`Skipping broken line ${i + 1} in ${filePath}: ${err.message}`);
+    }
+  }
+
+  return { header, packets };
+}
+
+module.exports = { OscRecorder, readRecording };
@@ -0,0 +1,69 @@
+/**
+ * OSC Sender - рассылает события лирики (свет, VJ: Resolume, QLC+, TouchDesigner)
+ *
+ * Адреса (prefix по умолчанию /karaoke):
+ * <prefix>/line/index (int)    - индекс активной строки (-1 - нет строки)
+ * <prefix>/line/text (string)  - текст активной строки
+ * <prefix>/line/next (string)  - текст следующей строки
+ * <prefix>/track (string, string) - artist, title
+ * <prefix>/lyrics/status (string) - loading | found | not_found
+ */
+
+const dgram = require('dgram');
+const { encodeMessage } = require('./encoder');
+const logger = require('../util/logger');
+
+class OscSender {
+  constructor(config = {}) {
+    this.enabled = !!config.enabled;
+    this.prefix = (config.prefix || '/karaoke').replace(/\/$/, '');
+    this.targets = (config.targets || []).filter(t => t.host && t.port);
+    this.socket = null;
+  }
+
+  start() {
+    if (!this.enabled || this.targets.length === 0) return;
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', (err) => {
+      logger.error('OSC sender error:', err.message);
+    });
+
+    const list = this.targets.map(t => `${t.host}:${t.port}`).join(', ');
+    logger.info(`OSC output enabled -> ${list}`);
+  }
+
+  send(address, ...args) {
+    if (!this.socket) return;
+
+    const msg = encodeMessage(`${this.prefix}${address}`, args);
+    for (const { host, port } of this.targets) {
+      this.socket.send(msg, port, host, (err) => {
+        if (err) logger.debug(`OSC send to ${host}:${port} failed: ${err.message}`);
+      });
+    }
+  }
+
+  sendLine({ index, line, next }) {
+    this.send('/line/index', index);
+    this.send('/line/text', line ? line.text : '');
+    this.send('/line/next', next ? next.text : '');
+  }
+
+  sendTrack({ artist, title }) {
+    this.send('/track', artist, title);
+  }
+
+  sendLyricsStatus(status) {
+    this.send('/lyrics/status', status);
+  }
+
+  stop() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = OscSender;
@@ -1,6 +1,7 @@
 /**
  * LRC Parser
  * Формат: [mm:ss.xx] текст строки
+ * Enhanced LRC: [mm:ss.xx] <mm:ss.xx>сло<mm:ss.xx>во <mm:ss.xx>... -> line.words[]
  */
 
 function parseTimestamp(ts) {
@@ -14,6 +15,42 @@ function parseTimestamp(ts) {
   return minutes * 60 + seconds + ms / 1000;
 }
 
+/**
+ * Слова (слоги) строки по тегам <mm:ss.xx>: [{ time, endTime, text }] или null, если тегов нет
+ * Текст слова хранится как есть, с пробелами: слоги одного слова идут без пробела.
+ * Тег без текста после него - конец предыдущего слова
+ */
+function parseWords(text, lineTime) {
+  const parts = text.split(/<(\d+:\d+[.:]\d+)>/);
+  if (parts.length === 1) return null;
+
+  const words = [];
+  if (parts[0].trim()) words.push({ time: lineTime, endTime: null, text: parts[0] });
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const time = parseTimestamp(parts[i]);
+    const segment = parts[i + 1];
+    if (time === null) continue;
+
+    if (!segment.trim()) {
+      const last = words[words.length - 1];
+      if (last && last.endTime === null) last.endTime = time;
+      continue;
+    }
+    words.push({ time, endTime: null, text: segment });
+  }
+  if (words.length === 0) return null;
+
+  words[0].text = words[0].text.trimStart();
+  words[words.length - 1].text = words[words.length - 1].text.trimEnd();
+
+  // Слово длится до следующего, если его конец не задан тегом
+  for (let i = 0; i < words.length - 1; i++) {
+    if (words[i].endTime === null) words[i].endTime = words[i + 1].time;
+  }
+  return words;
+}
+
 function parse(content, options = {}) {
   const { duration = null } = options;
   const lines = content.split(/\r?\n/);
@@ -21,6 +58,9 @@ function parse(content, options = {}) {
     meta: {},
     lines: []
   };
+  // Номер строки текста в файле (до сортировки и размножения повторов):
+  // по нему построчный перевод встаёт на свои строки
+  let sourceLine = 0;
 
   for (const line of lines) {
     // Метаданные: [ti:Title], [ar:Artist], [al:Album], [offset:+/-ms], [length:mm:ss]
@@ -42,11 +82,30 @@ function parse(content, options = {}) {
       text = text.slice(match[0].length);
     }
 
+    const words = timestamps.length ? parseWords(text, timestamps[0]) : null;
+    if (words) text = words.map(word => word.text).join('');
+
     text = text.trim();
     if (timestamps.length === 0 || !text) continue;
 
+    const source = sourceLine++;
     for (const time of timestamps) {
-      result.lines.push({ time, text });
+      if (!words) {
+        result.lines.push({ time, text, sourceLine: source });
+        continue;
+      }
+      // Повтор строки ([00:12.00][01:30.00]) - те же слова со сдвигом
+      const shift = time - timestamps[0];
+      result.lines.push({
+        time,
+        text,
+        sourceLine: source,
+        words: words.map(word => ({
+          ...word,
+          time: word.time + shift,
+          endTime: word.endTime === null ? null : word.endTime + shift
+        }))
+      });
     }
   }
 
@@ -72,6 +131,12 @@ function parse(content, options = {}) {
       // Последняя строка: используем duration или +30 сек для длинных аутро
       result.lines[i].endTime = trackDuration || (result.lines[i].time + 30);
     }
+
+    // Последнее слово без закрывающего тега - до конца строки
+    const words = result.lines[i].words;
+    if (words && words[words.length - 1].endTime === null) {
+      words[words.length - 1].endTime = Math.max(result.lines[i].endTime, words[words.length - 1].time);
+    }
   }
 
   // Применяем offset если есть
@@ -81,6 +146,10 @@ function parse(content, options = {}) {
     for (const line of result.lines) {
       line.time = Math.max(0, line.time + offsetSec);
       line.endTime = Math.max(0, line.endTime + offsetSec);
+      for (const word of line.words || []) {
+        word.time = Math.max(0, word.time + offsetSec);
+        word.endTime = Math.max(0, word.endTime + offsetSec);
+      }
     }
   }
 
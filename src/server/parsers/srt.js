@@ -49,7 +49,8 @@ function parse(content, options = {}) {
     const text = lines.slice(timeLineIdx + 1).join(' ').trim();
     if (!text) continue;
 
-    result.lines.push({ time, endTime, text });
+    // Номер блока в файле - для построчного перевода
+    result.lines.push({ time, endTime, text, sourceLine: result.lines.length });
   }
 
   result.lines.sort((a, b) => a.time - b.time);
@@ -6,45 +6,22 @@
  *   node emulator.js                    # интерактивный режим
  *   node emulator.js --auto             # авто-режим с тестовыми треками
  *   node emulator.js --track "Artist" "Title"  # загрузить конкретный трек
+ *   node emulator.js --replay <session.jsonl> [--speed 2]  # повтор записанной сессии
  */
 
 const dgram = require('dgram');
 const readline = require('readline');
+const { encodeMessage } = require('../osc/encoder');
+const { readRecording } = require('../osc/recorder');
 
 const HOST = '127.0.0.1';
 const PORT = 4460;  // куда шлём (туда слушает наш сервер)
 
 const socket = dgram.createSocket('udp4');
 
-// Простой OSC encoder
-function encodeOscString(str) {
-  const buf = Buffer.from(str + '\0', 'utf8');
-  const padding = (4 - (buf.length % 4)) % 4;
-  return Buffer.concat([buf, Buffer.alloc(padding)]);
-}
-
-function encodeOscFloat(val) {
-  const buf = Buffer.alloc(4);
-  buf.writeFloatBE(val, 0);
-  return buf;
-}
-
 function sendOsc(address, typeTag, ...args) {
-  const parts = [
-    encodeOscString(address),
-    encodeOscString(',' + typeTag)
-  ];
-  
-  for (let i = 0; i < args.length; i++) {
-    const type = typeTag[i];
-    if (type === 's') {
-      parts.push(encodeOscString(args[i]));
-    } else if (type === 'f') {
-      parts.push(encodeOscFloat(args[i]));
-    }
-  }
-  
-  const msg = Buffer.concat(parts);
+  const typed = args.map((value, i) => ({ type: typeTag[i], value }));
+  const msg = encodeMessage(address, typed);
   socket.send(msg, PORT, HOST);
 }
 
@@ -191,11 +168,50 @@ function interactiveMode() {
   rl.prompt();
 }
 
+// Повтор записанной сессии: пакеты уходят байт в байт с исходными интервалами
+async function replayMode(filePath, speed) {
+  const { header, packets } = await readRecording(filePath);
+  const duration = packets.length ? packets[packets.length - 1].t : 0;
+
+  console.log(`⏯ Replaying ${filePath}`);
+  console.log(`  recorded: ${header.startedAt}, packets: ${packets.length}, ` +
+    `duration: ${(duration / 1000).toFixed(1)}s, speed: x${speed}\n`);
+
+  const startedAt = Date.now();
+  for (let i = 0; i < packets.length; i++) {
+    // Считаем от начала, а не от предыдущего пакета - без накопления дрейфа
+    const due = startedAt + packets[i].t / speed;
+    const wait = due - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+
+    await new Promise(r => socket.send(packets[i].data, PORT, HOST, r));
+
+    if (i % 500 === 0) {
+      process.stdout.write(`\r  ${i}/${packets.length}`);
+    }
+  }
+
+  console.log(`\r  ${packets.length}/${packets.length}\n✅ Replay finished`);
+  socket.close();
+}
+
 // Main
 const args = process.argv.slice(2);
 
 if (args[0] === '--auto') {
   autoMode();
+} else if (args[0] === '--replay') {
+  // Без файла - ошибка, а не тихий переход в интерактивный режим
+  if (!args[1] || args[1].startsWith('--')) {
+    console.error('Usage: node emulator.js --replay <session.jsonl> [--speed 2]');
+    process.exit(1);
+  }
+  const speedIdx = args.indexOf('--speed');
+  const speed = speedIdx !== -1 ? parseFloat(args[speedIdx + 1]) || 1 : 1;
+  replayMode(args[1], speed).catch(err => {
+    console.error(`Replay failed: ${err.message}`);
+    process.exit(1);
+  });
 } else if (args[0] === '--track' && args[1] && args[2]) {
   loadTrack(args[1], args[2]);
   play();
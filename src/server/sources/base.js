@@ -0,0 +1,107 @@
+/**
+ * Базовый источник воспроизведения
+ *
+ * Любой источник (OSC, push, файл истории) отдаёт одинаковые события:
+ * trackChanged { artist, title, duration? }, time, bpm,
+ * transport, seek, loop, restart, sourceLost, sourceRestored
+ */
+
+const { EventEmitter } = require('events');
+const TransportTracker = require('../transport');
+const Watchdog = require('../util/watchdog');
+const logger = require('../util/logger');
+
+// Умолчания TransportTracker рассчитаны на OSC (десятки отсчётов в секунду).
+// Внешние скрипты шлют позицию раз в 0.5-1 с: при 300 мс каждый отсчёт
+// выглядел бы паузой, а при 1 с - разрывом, по которому скорость не считается
+const TRANSPORT_DEFAULTS = {
+  pauseAfterMs: 3000,
+  maxSampleGapMs: 5000
+};
+
+class BaseSource extends EventEmitter {
+  constructor(name, config = {}) {
+    super();
+    this.name = name;
+
+    this.state = {
+      artist: '',
+      title: '',
+      duration: null,
+      time: 0,
+      bpm: 0
+    };
+    this.lastTrackKey = '';
+
+    this.transport = new TransportTracker({ ...TRANSPORT_DEFAULTS, ...config.transport });
+    this.transport.on('change', (transport) => this.emit('transport', transport));
+    this.transport.on('jump', (jump) => this.emit(jump.kind, jump));
+
+    this.watchdog = new Watchdog(config.watchdog);
+    this.watchdog.on('lost', (health) => {
+      logger.warn(`${this.name} source lost: no messages for ${health.silentMs}ms`);
+      this.emit('sourceLost', health);
+    });
+    this.watchdog.on('restored', (health) => {
+      logger.info(`${this.name} source restored`);
+      this.emit('sourceRestored', health);
+    });
+  }
+
+  start() {
+    throw new Error(`${this.name}: start() not implemented`);
+  }
+
+  /**
+   * Отметка "источник жив" - вызывается на каждое входящее сообщение
+   */
+  touch() {
+    this.watchdog.feed();
+  }
+
+  setTrack(artist, title, duration = null) {
+    artist = (artist || '').trim();
+    title = (title || '').trim();
+    if (!artist || !title) return;
+
+    const key = `${artist}::${title}`;
+    if (key === this.lastTrackKey) return;
+
+    this.lastTrackKey = key;
+    this.state.artist = artist;
+    this.state.title = title;
+    this.state.duration = duration;
+    this.transport.reset(0);
+
+    logger.info(`Track changed (${this.name}): ${artist} - ${title}`);
+    this.emit('trackChanged', duration ? { artist, title, duration } : { artist, title });
+  }
+
+  setTime(time) {
+    if (typeof time !== 'number' || !Number.isFinite(time)) return;
+    this.state.time = time;
+    this.emit('time', time);
+    this.transport.update(time);
+  }
+
+  setBpm(bpm) {
+    if (typeof bpm !== 'number' || !Number.isFinite(bpm)) return;
+    this.state.bpm = bpm;
+    this.emit('bpm', bpm);
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+
+  getHealth() {
+    return { name: this.name, ...this.watchdog.getHealth() };
+  }
+
+  stop() {
+    this.transport.stop();
+    this.watchdog.stop();
+  }
+}
+
+module.exports = BaseSource;
@@ -0,0 +1,120 @@
+/**
+ * File Tail Source - следит за текстовым файлом DJ-софта
+ *
+ * mode: 'history'    - история (VirtualDJ tracklist.txt, Serato/Traktor экспорт):
+ *                      текущий трек - последняя непустая строка
+ *       'nowplaying' - файл "сейчас играет" (OBS-плагины, Now Playing):
+ *                      текущий трек - первая непустая строка
+ *
+ * format - регулярка с именованными группами artist и title
+ *
+ * Позиции такие файлы не содержат: при estimateTime время
+ * считается от момента смены трека. Файл меняется только при смене трека,
+ * поэтому сторож тишины здесь выключен
+ */
+
+const fs = require('fs');
+const BaseSource = require('./base');
+const logger = require('../util/logger');
+
+// "Artist - Title", опционально с префиксом времени "21:04 : " (VirtualDJ)
+const DEFAULT_FORMAT = '^(?:\\d{1,2}:\\d{2}(?::\\d{2})?\\s*:?\\s+)?(?<artist>.+?)\\s+[-–—]\\s+(?<title>.+)$';
+const TAIL_BYTES = 16 * 1024;
+const TIME_TICK_MS = 100;
+
+class FileTailSource extends BaseSource {
+  constructor(config = {}) {
+    super('file', { ...config, watchdog: { timeoutMs: 0 } });
+    if (!config.path) {
+      throw new Error('File source: "path" is required');
+    }
+
+    this.filePath = config.path;
+    this.mode = config.mode === 'nowplaying' ? 'nowplaying' : 'history';
+    this.pollInterval = config.pollInterval || 1000;
+    this.format = new RegExp(config.format || DEFAULT_FORMAT, 'u');
+    this.estimateTime = config.estimateTime !== false;
+
+    this.trackStartedAt = 0;
+    this.timeTimer = null;
+    this.watching = false;
+  }
+
+  start() {
+    fs.watchFile(this.filePath, { interval: this.pollInterval }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+        this.readCurrentTrack();
+      }
+    });
+    this.watching = true;
+
+    logger.info(`FileTailSource watching ${this.filePath} (${this.mode})`);
+    this.readCurrentTrack();
+
+    if (this.estimateTime) {
+      this.timeTimer = setInterval(() => {
+        if (!this.trackStartedAt) return;
+        this.setTime((Date.now() - this.trackStartedAt) / 1000);
+      }, TIME_TICK_MS);
+    }
+  }
+
+  /**
+   * Читает хвост файла (история может быть большой)
+   */
+  async readTail() {
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+      return buffer.toString('utf8').replace(/^\uFEFF/, '');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readCurrentTrack() {
+    let content;
+    try {
+      content = await this.readTail();
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`File source: cannot read ${this.filePath}: ${err.message}`);
+      }
+      return;
+    }
+
+    this.touch();
+
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const line = this.mode === 'history' ? lines[lines.length - 1] : lines[0];
+    if (!line) return;
+
+    const match = line.match(this.format);
+    if (!match?.groups?.artist || !match.groups.title) {
+      logger.debug(`File source: unparseable line "${line}"`);
+      return;
+    }
+
+    const before = this.lastTrackKey;
+    this.setTrack(match.groups.artist, match.groups.title);
+    if (this.lastTrackKey !== before) {
+      this.trackStartedAt = Date.now();
+    }
+  }
+
+  stop() {
+    super.stop();
+    clearInterval(this.timeTimer);
+    this.timeTimer = null;
+
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+}
+
+module.exports = FileTailSource;
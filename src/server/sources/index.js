@@ -0,0 +1,30 @@
+const LinkBridge = require('../link-bridge');
+const PushSource = require('./push');
+const FileTailSource = require('./file-tail');
+
+const sources = {
+  osc: LinkBridge,
+  push: PushSource,
+  file: FileTailSource
+};
+
+/**
+ * Создаёт источник воспроизведения по config.source.type
+ * Без секции source - OSC от rkbx_link (config.osc), как раньше
+ */
+function createSource(config) {
+  const type = config.source?.type || 'osc';
+  const Source = sources[type];
+  if (!Source) {
+    throw new Error(`Unknown source type: ${type}`);
+  }
+
+  const sourceConfig = type === 'osc' ? config.osc : config.source[type];
+  return new Source(sourceConfig || {});
+}
+
+function getSupportedSources() {
+  return Object.keys(sources);
+}
+
+module.exports = { createSource, getSupportedSources };
@@ -0,0 +1,133 @@
+/**
+ * Push Source - внешние скрипты сами сообщают трек и позицию
+ *
+ * HTTP (JSON body):
+ *   POST /track { artist, title, duration? }
+ *   POST /time  { time }
+ *   POST /bpm   { bpm }
+ *
+ * WebSocket (тот же порт): { type: 'track' | 'time' | 'bpm', ...поля как выше }
+ *
+ * Если задан token - нужен заголовок Authorization: Bearer <token> или ?token=
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const BaseSource = require('./base');
+const { readJsonBody } = require('../util/http');
+const logger = require('../util/logger');
+
+class PushSource extends BaseSource {
+  constructor(config = {}) {
+    super('push', config);
+    this.host = config.host || '0.0.0.0';
+    this.port = config.port || 4461;
+    this.token = config.token || '';
+    this.server = null;
+    this.wss = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on('connection', (ws, req) => {
+      if (!this.isAuthorized(req)) {
+        ws.close(4401, 'Unauthorized');
+        return;
+      }
+
+      ws.on('message', (raw) => {
+        try {
+          const msg = JSON.parse(raw.toString());
+          this.applyUpdate(msg.type, msg);
+        } catch (err) {
+          logger.warn(`Push source: bad message: ${err.message}`);
+        }
+      });
+    });
+
+    this.server.on('error', (err) => {
+      logger.error('Push source error:', err.message);
+    });
+
+    this.server.listen(this.port, this.host, () => {
+      logger.info(`PushSource listening on ${this.host}:${this.port}`);
+    });
+
+    this.watchdog.start();
+  }
+
+  isAuthorized(req) {
+    if (!this.token) return true;
+
+    const header = req.headers.authorization || '';
+    if (header === `Bearer ${this.token}`) return true;
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      return url.searchParams.get('token') === this.token;
+    } catch {
+      return false;
+    }
+  }
+
+  async handleRequest(req, res) {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (!this.isAuthorized(req)) return send(401, { error: 'Unauthorized' });
+    if (req.method !== 'POST') return send(405, { error: 'Method not allowed' });
+
+    try {
+      const type = new URL(req.url, 'http://localhost').pathname.replace(/^\//, '');
+      const body = await readJsonBody(req);
+      if (!this.applyUpdate(type, body)) {
+        return send(404, { error: `Unknown endpoint: /${type}` });
+      }
+      send(200, { ok: true });
+    } catch (err) {
+      send(400, { error: err.message });
+    }
+  }
+
+  /**
+   * Применяет обновление от внешнего скрипта
+   * Возвращает false для неизвестного типа
+   */
+  applyUpdate(type, data) {
+    if (['track', 'time', 'bpm'].includes(type)) this.touch();
+
+    switch (type) {
+      case 'track':
+        this.setTrack(data.artist, data.title, Number(data.duration) || null);
+        return true;
+      case 'time':
+        this.setTime(Number(data.time));
+        return true;
+      case 'bpm':
+        this.setBpm(Number(data.bpm));
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  stop() {
+    super.stop();
+
+    if (this.wss) {
+      for (const ws of this.wss.clients) ws.terminate();
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = PushSource;
@@ -0,0 +1,257 @@
+/**
+ * Раздача статики: public/ и обложки
+ *
+ * - путь не выходит за root (../, %2e%2e, нулевой байт, скрытые файлы - 404)
+ * - ETag / Last-Modified, условные запросы -> 304
+ * - Cache-Control: у страниц и скриптов - ревалидация, у обложек - maxAge
+ * - gzip / brotli для текстовых типов (сжатое кэшируется в памяти до смены файла)
+ * - HEAD и Range (один диапазон; для сжатых ответов Range не применяется)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('./util/logger');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+const COMPRESSIBLE = new Set(['.html', '.js', '.css', '.json', '.svg']);
+
+// Мелкие файлы сжимать незачем
+const MIN_COMPRESS_BYTES = 1024;
+// Крупные не держим сжатыми в памяти
+const MAX_COMPRESS_BYTES = 1024 * 1024;
+
+const ENCODINGS = [
+  { name: 'br', compress: (buf) => brotliCompress(buf) },
+  { name: 'gzip', compress: (buf) => gzip(buf) }
+];
+
+// Сжатые версии: `${filePath}:${encoding}` -> { etag, buffer }
+const compressedCache = new Map();
+
+function makeEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * URL -> путь внутри root или null, если путь выходит за его пределы
+ */
+function resolveSafePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+
+  const segments = decoded.split(/[/\\]+/).filter(Boolean);
+  if (segments.some(segment => segment.startsWith('.'))) return null;
+
+  const filePath = path.resolve(root, ...segments);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+  return filePath;
+}
+
+function isNotModified(req, etag, mtime) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // Для 304 достаточно слабого сравнения: W/ не учитываем
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch === '*' ||
+      ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if (Number.isFinite(ifModifiedSince)) {
+    return Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+}
+
+/**
+ * Range: bytes=start-end | bytes=start- | bytes=-suffix
+ * Возвращает { start, end }, null (заголовка нет / несколько диапазонов - отдаём целиком)
+ * или false (диапазон вне файла)
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null;
+
+  const [, startStr, endStr] = match;
+  let start;
+  let end;
+
+  if (startStr === '') {
+    if (endStr === '') return null;
+    const suffix = parseInt(endStr, 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startStr, 10);
+    end = endStr === '' ? size - 1 : Math.min(parseInt(endStr, 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// If-Range: Range применяется, только если файл не менялся
+function rangeStillValid(req, etag, mtime) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  return Date.parse(ifRange) >= Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+function pickEncoding(req) {
+  const accept = String(req.headers['accept-encoding'] || '');
+  return ENCODINGS.find(({ name }) => new RegExp(`\\b${name}\\b(?!;q=0(\\.0+)?\\b)`).test(accept)) || null;
+}
+
+async function getCompressed(filePath, etag, encoding) {
+  const key = `${filePath}:${encoding.name}`;
+  const cached = compressedCache.get(key);
+  if (cached && cached.etag === etag) return cached.buffer;
+
+  const content = await fs.promises.readFile(filePath);
+  const buffer = await encoding.compress(content);
+  compressedCache.set(key, { etag, buffer });
+  return buffer;
+}
+
+function sendStatus(res, status, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(http.STATUS_CODES[status] || '');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - директория с файлами
+ * @param {string} [options.prefix='/'] - URL-префикс, например '/covers/'
+ * @param {object} [options.pages] - алиасы страниц: { '/': 'index.html' }
+ * @param {number} [options.maxAge=0] - секунды для Cache-Control; 0 - всегда ревалидировать
+ * @returns {function(req, res, url): Promise<boolean>} - false, если URL не под prefix
+ *   (url - разобранный req.url)
+ */
+function createStaticHandler({ root, prefix = '/', pages = {}, maxAge = 0 }) {
+  const rootDir = path.resolve(root);
+  const cacheControl = maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache';
+
+  return async function serveStatic(req, res, url) {
+    const { pathname } = url;
+    if (!pathname.startsWith(prefix)) return false;
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendStatus(res, 405, { Allow: 'GET, HEAD' });
+      return true;
+    }
+
+    const relative = pages[pathname] || pathname.slice(prefix.length);
+    const filePath = resolveSafePath(rootDir, relative);
+    if (!filePath) {
+      logger.warn(`Static: rejected path ${req.url}`);
+      sendStatus(res, 404);
+      return true;
+    }
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch {
+      stat = null;
+    }
+    if (!stat || !stat.isFile()) {
+      sendStatus(res, 404);
+      return true;
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const compressible = COMPRESSIBLE.has(ext);
+    const etag = makeEtag(stat);
+    const headers = {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Cache-Control': cacheControl,
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff'
+    };
+    if (compressible) headers.Vary = 'Accept-Encoding';
+
+    const encoding = compressible &&
+      stat.size >= MIN_COMPRESS_BYTES &&
+      stat.size <= MAX_COMPRESS_BYTES &&
+      !req.headers.range
+      ? pickEncoding(req)
+      : null;
+    // У каждой версии файла (сырой, br, gzip) свой ETag
+    headers.ETag = encoding ? etag.replace(/"$/, `-${encoding.name}"`) : etag;
+
+    if (isNotModified(req, headers.ETag, stat.mtime)) {
+      delete headers['Content-Type'];
+      res.writeHead(304, headers);
+      res.end();
+      return true;
+    }
+
+    if (encoding) {
+      const body = await getCompressed(filePath, etag, encoding);
+      res.writeHead(200, { ...headers, 'Content-Encoding': encoding.name, 'Content-Length': body.length });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return true;
+    }
+
+    let status = 200;
+    let start = 0;
+    let end = stat.size - 1;
+
+    const range = rangeStillValid(req, etag, stat.mtime) ? parseRange(req.headers.range, stat.size) : null;
+    if (range === false) {
+      sendStatus(res, 416, { 'Content-Range': `bytes */${stat.size}` });
+      return true;
+    }
+    if (range) {
+      status = 206;
+      ({ start, end } = range);
+      headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+
+    headers['Content-Length'] = stat.size === 0 ? 0 : end - start + 1;
+    res.writeHead(status, headers);
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+      res.end();
+      return true;
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (err) => {
+      logger.error(`Static: failed to read ${filePath}: ${err.message}`);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+    return true;
+  };
+}
+
+module.exports = { createStaticHandler, resolveSafePath, parseRange };
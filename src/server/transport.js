@@ -0,0 +1,204 @@
+/**
+ * Transport Tracker - определяет состояние воспроизведения по потоку времени
+ *
+ * На вход - последовательные отсчёты позиции (/time/master),
+ * на выходе - состояние (playing / paused / scrubbing) и оценка скорости.
+ *
+ * rkbx_link не сообщает о паузе явно: позиция просто перестаёт меняться
+ * (или сообщения перестают приходить), поэтому пауза определяется по таймеру.
+ *
+ * Разрывы позиции классифицируются и отдаются событием 'jump':
+ * - restart: прыжок в начало трека
+ * - loop: повторный прыжок назад из той же точки в ту же точку (start/end)
+ * - seek: всё остальное (hot cue, перемотка; первый проход лупа тоже seek)
+ */
+
+const { EventEmitter } = require('events');
+
+const DEFAULTS = {
+  pauseAfterMs: 300,     // столько без движения - пауза
+  maxSampleGapMs: 1000,  // больший интервал между отсчётами - скорость не считаем
+  minPlayRate: 0.5,      // медленнее - скрэтч/джог
+  maxPlayRate: 2.0,      // быстрее - тоже скрэтч
+  jumpThreshold: 1.0,    // скачок позиции (сек) сверх ожидаемого - разрыв, а не скорость
+  smoothing: 0.3,        // коэффициент EMA для скорости
+  rateEpsilon: 0.02,     // изменение скорости, о котором стоит сообщать
+  restartWindow: 1.0,    // прыжок в первые N секунд трека - рестарт
+  loopTolerance: 0.15    // допуск (сек) при сравнении границ лупа
+};
+
+class TransportTracker extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...config };
+
+    this.state = 'paused';
+    this.rate = 0;
+    this.reportedRate = 0;
+    this.time = 0;
+
+    this.lastTime = null;
+    this.lastAt = 0;
+    this.pauseTimer = null;
+
+    // Последний прыжок назад и активный луп { start, end, count }
+    this.lastBackJump = null;
+    this.loop = null;
+  }
+
+  /**
+   * Новый отсчёт позиции
+   * @param {number} time - позиция в секундах
+   * @param {number} [now] - время получения (мс)
+   */
+  update(time, now = Date.now()) {
+    const { lastTime, lastAt } = this;
+    this.time = time;
+
+    if (lastTime === null) {
+      this.lastTime = time;
+      this.lastAt = now;
+      return;
+    }
+
+    const dt = (now - lastAt) / 1000;
+    const dTime = time - lastTime;
+
+    // Несколько отсчётов в одном пакете/тике: скорость по ним не посчитать
+    if (dt < 0.005) {
+      this.lastTime = time;
+      return;
+    }
+
+    this.lastTime = time;
+    this.lastAt = now;
+
+    // Позиция стоит на месте - ждём таймер паузы (не перезапуская его)
+    if (Math.abs(dTime) < 0.001) {
+      if (!this.pauseTimer && this.state !== 'paused') this.schedulePause();
+      return;
+    }
+
+    // После долгой тишины скорость по этой паре не оценить:
+    // запоминаем отсчёт и ждём следующий
+    if (dt > this.options.maxSampleGapMs / 1000) {
+      if (Math.abs(dTime) > this.options.jumpThreshold) {
+        this.handleJump(lastTime, time, now);
+      }
+      this.schedulePause();
+      return;
+    }
+
+    // Разрыв (hot cue, seek, луп): скорость не пересчитываем
+    const expected = this.state === 'playing' ? dt * this.rate : dt;
+    if (Math.abs(dTime - expected) > this.options.jumpThreshold) {
+      this.handleJump(lastTime, time, now);
+      if (this.state !== 'paused') this.schedulePause();
+      return;
+    }
+
+    // Ушли за конец лупа без прыжка - луп выключен
+    if (this.loop && time > this.loop.end + this.options.loopTolerance) {
+      this.loop = null;
+      this.lastBackJump = null;
+    }
+
+    const instRate = dTime / dt;
+    const { minPlayRate, maxPlayRate, smoothing } = this.options;
+
+    if (instRate >= minPlayRate && instRate <= maxPlayRate) {
+      const rate = this.state === 'playing' && this.rate > 0
+        ? this.rate + smoothing * (instRate - this.rate)
+        : instRate;
+      this.setState('playing', rate);
+    } else {
+      this.setState('scrubbing', instRate);
+    }
+
+    this.schedulePause();
+  }
+
+  /**
+   * Классифицирует разрыв позиции и сообщает о нём
+   */
+  handleJump(from, to, at) {
+    const { restartWindow, loopTolerance } = this.options;
+    let jump;
+
+    if (to < from && to <= restartWindow) {
+      jump = { kind: 'restart', from, to };
+      this.loop = null;
+      this.lastBackJump = null;
+    } else if (to < from) {
+      const prev = this.lastBackJump;
+      const repeats = prev &&
+        Math.abs(prev.from - from) <= loopTolerance &&
+        Math.abs(prev.to - to) <= loopTolerance;
+
+      if (repeats) {
+        const count = this.loop ? this.loop.count + 1 : 2;
+        this.loop = { start: to, end: from, count };
+        jump = { kind: 'loop', from, to, start: to, end: from, count };
+      } else {
+        this.loop = null;
+        jump = { kind: 'seek', from, to };
+      }
+      this.lastBackJump = { from, to };
+    } else {
+      jump = { kind: 'seek', from, to };
+      this.loop = null;
+      this.lastBackJump = null;
+    }
+
+    this.emit('jump', { ...jump, at });
+  }
+
+  /**
+   * Смена трека: история прыжков и лупов к новому треку не относится,
+   * а переход на новую позицию не считается разрывом
+   */
+  reset(time = this.time) {
+    this.lastTime = null;
+    this.lastBackJump = null;
+    this.loop = null;
+    this.time = time;
+  }
+
+  schedulePause() {
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = setTimeout(() => {
+      this.pauseTimer = null;
+      this.setState('paused', 0);
+    }, this.options.pauseAfterMs);
+  }
+
+  setState(state, rate) {
+    // Скорость сравниваем с последней отправленной, а не с предыдущим отсчётом
+    const changed = state !== this.state ||
+      Math.abs(rate - this.reportedRate) >= this.options.rateEpsilon;
+
+    this.state = state;
+    this.rate = rate;
+
+    if (changed) {
+      this.reportedRate = rate;
+      this.emit('change', this.getState());
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      rate: Math.round(this.rate * 1000) / 1000,
+      time: this.time,
+      loop: this.loop ? { start: this.loop.start, end: this.loop.end } : null
+    };
+  }
+
+  stop() {
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = null;
+  }
+}
+
+module.exports = TransportTracker;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Следит за config.json: при сохранении - событие 'change' с новым конфигом
+ *
+ * Смотрим на директорию, а не на файл: редакторы часто сохраняют через
+ * rename, и watch на сам файл после этого молчит.
+ * Невалидный JSON не применяется - остаётся прежний конфиг.
+ */
+class ConfigWatcher extends EventEmitter {
+  constructor(configPath, options = {}) {
+    super();
+    this.configPath = path.resolve(configPath);
+    this.debounceMs = options.debounceMs ?? 300;
+    this.watcher = null;
+    this.timer = null;
+    this.lastContent = null;
+  }
+
+  start() {
+    if (this.watcher) return;
+
+    try {
+      this.lastContent = fs.readFileSync(this.configPath, 'utf8');
+    } catch {
+      this.lastContent = null;
+    }
+
+    const fileName = path.basename(this.configPath);
+    this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+
+      // Одно сохранение даёт несколько событий подряд
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.reload(), this.debounceMs);
+    });
+    this.watcher.on('error', (err) => {
+      logger.error(`Config watcher error: ${err.message}`);
+    });
+  }
+
+  reload() {
+    let content;
+    try {
+      content = fs.readFileSync(this.configPath, 'utf8');
+    } catch (err) {
+      // Файл в процессе замены - дождёмся следующего события
+      if (err.code !== 'ENOENT') logger.warn(`Config reload failed: ${err.message}`);
+      return;
+    }
+    if (content === this.lastContent) return;
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (err) {
+      logger.warn(`Config not applied, invalid JSON: ${err.message}`);
+      return;
+    }
+
+    this.lastContent = content;
+    this.emit('change', config);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = ConfigWatcher;
@@ -43,4 +43,24 @@ async function exists(filePath) {
   }
 }
 
-module.exports = { writeJsonAtomic, readJsonSafe, exists };
+/**
+ * Удаляет временные файлы writeJsonAtomic, оставшиеся после прерванной записи
+ * Возвращает количество удалённых
+ */
+async function cleanupTmpFiles(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  const stale = names.filter(name => name.startsWith('.') && name.endsWith('.tmp'));
+  for (const name of stale) {
+    await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+  }
+  return stale.length;
+}
+
+module.exports = { writeJsonAtomic, readJsonSafe, exists, cleanupTmpFiles };
@@ -0,0 +1,59 @@
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * JSON-ответ (API доступен и со сторонних страниц - CORS открыт)
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Текстовый ответ (экспорт): filename - отдать как скачиваемый файл
+ */
+function sendText(res, status, body, contentType, filename = null) {
+  const headers = {
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*'
+  };
+  if (filename) {
+    headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+  }
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+/**
+ * Читает JSON body запроса (не больше MAX_BODY_BYTES)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        reject(new Error(`Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = { sendJson, sendText, readJsonBody };
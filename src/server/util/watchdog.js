@@ -0,0 +1,59 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Сторож источника: если сообщения не приходят дольше timeoutMs -
+ * событие 'lost', при следующем сообщении - 'restored'
+ *
+ * Статусы: waiting (ещё ничего не было) | ok | lost
+ * timeoutMs = 0 отключает проверку (статус только waiting/ok)
+ */
+class Watchdog extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.timeoutMs = config.timeoutMs ?? 3000;
+    this.status = 'waiting';
+    this.lastMessageAt = null;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timeoutMs || this.timer) return;
+
+    // Проверяем несколько раз за таймаут, чтобы не опаздывать с 'lost'
+    this.timer = setInterval(() => this.check(), Math.max(100, this.timeoutMs / 4));
+  }
+
+  feed(now = Date.now()) {
+    this.lastMessageAt = now;
+
+    if (this.status !== 'ok') {
+      const wasLost = this.status === 'lost';
+      this.status = 'ok';
+      if (wasLost) this.emit('restored', this.getHealth(now));
+    }
+  }
+
+  check(now = Date.now()) {
+    if (this.status !== 'ok') return;
+
+    if (now - this.lastMessageAt > this.timeoutMs) {
+      this.status = 'lost';
+      this.emit('lost', this.getHealth(now));
+    }
+  }
+
+  getHealth(now = Date.now()) {
+    return {
+      status: this.status,
+      lastMessageAt: this.lastMessageAt,
+      silentMs: this.lastMessageAt ? now - this.lastMessageAt : null
+    };
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = Watchdog;